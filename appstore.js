@@ -0,0 +1,184 @@
+// App Store Server API helpers: signed payload (JWS) verification and
+// transaction lookup. Nothing here touches server state, so it can be run
+// offline against fixture payloads signed by a locally generated test CA.
+import crypto from 'crypto';
+import fs from 'fs';
+
+// Marker extensions Apple puts on its App Store signing certificates
+const APPLE_LEAF_OID = '1.2.840.113635.100.6.11.1';
+const APPLE_INTERMEDIATE_OID = '1.2.840.113635.100.6.2.1';
+
+const APP_STORE_API = {
+  Production: 'https://api.storekit.itunes.apple.com',
+  Sandbox: 'https://api.storekit-sandbox.itunes.apple.com',
+};
+
+export class AppStoreVerificationError extends Error {
+  constructor(message, code = 'invalid') {
+    super(message);
+    this.name = 'AppStoreVerificationError';
+    this.code = code;
+  }
+}
+
+function oidToDer(oid) {
+  const parts = oid.split('.').map(Number);
+  const body = [parts[0] * 40 + parts[1]];
+  for (const part of parts.slice(2)) {
+    const bytes = [part & 0x7f];
+    let rest = part >>> 7;
+    while (rest) {
+      bytes.unshift((rest & 0x7f) | 0x80);
+      rest >>>= 7;
+    }
+    body.push(...bytes);
+  }
+  return Buffer.from([0x06, body.length, ...body]);
+}
+
+function hasExtension(cert, oid) {
+  return cert.raw.includes(oidToDer(oid));
+}
+
+function isValidAt(cert, date) {
+  return date >= new Date(cert.validFrom) && date <= new Date(cert.validTo);
+}
+
+function base64UrlJson(part) {
+  return JSON.parse(Buffer.from(part, 'base64url').toString('utf8'));
+}
+
+// Reads PEM or DER certificates (e.g. Apple Root CA - G3) from disk
+export function loadRootCertificates(paths) {
+  return paths
+    .filter((p) => fs.existsSync(p))
+    .map((p) => new crypto.X509Certificate(fs.readFileSync(p)));
+}
+
+// Verifies an x5c-signed JWS against the trusted roots and returns its payload
+export function verifySignedPayload(jws, { rootCertificates = [], now = new Date() } = {}) {
+  if (!rootCertificates.length) {
+    throw new AppStoreVerificationError('No trusted root certificates configured', 'not_configured');
+  }
+
+  const parts = typeof jws === 'string' ? jws.split('.') : [];
+  if (parts.length !== 3) {
+    throw new AppStoreVerificationError('Malformed signed payload');
+  }
+
+  let header;
+  let payload;
+  try {
+    header = base64UrlJson(parts[0]);
+    payload = base64UrlJson(parts[1]);
+  } catch (e) {
+    throw new AppStoreVerificationError('Malformed signed payload');
+  }
+
+  if (header.alg !== 'ES256' || !Array.isArray(header.x5c) || header.x5c.length < 2) {
+    throw new AppStoreVerificationError('Unsupported signature header');
+  }
+
+  let leaf;
+  let intermediate;
+  try {
+    [leaf, intermediate] = header.x5c.map((c) => new crypto.X509Certificate(Buffer.from(c, 'base64')));
+  } catch (e) {
+    throw new AppStoreVerificationError('Invalid certificate in chain');
+  }
+
+  const root = rootCertificates.find(
+    (r) => intermediate.checkIssued(r) && intermediate.verify(r.publicKey)
+  );
+  if (!root) {
+    throw new AppStoreVerificationError('Certificate chain does not lead to a trusted root');
+  }
+  if (!leaf.checkIssued(intermediate) || !leaf.verify(intermediate.publicKey)) {
+    throw new AppStoreVerificationError('Leaf certificate not issued by intermediate');
+  }
+  if (![leaf, intermediate, root].every((c) => isValidAt(c, now))) {
+    throw new AppStoreVerificationError('Certificate expired or not yet valid');
+  }
+  if (!hasExtension(leaf, APPLE_LEAF_OID) || !hasExtension(intermediate, APPLE_INTERMEDIATE_OID)) {
+    throw new AppStoreVerificationError('Certificate is not an App Store signing certificate');
+  }
+
+  const signatureOk = crypto.verify(
+    'sha256',
+    Buffer.from(`${parts[0]}.${parts[1]}`),
+    { key: leaf.publicKey, dsaEncoding: 'ieee-p1363' },
+    Buffer.from(parts[2], 'base64url')
+  );
+  if (!signatureOk) {
+    throw new AppStoreVerificationError('Invalid signature');
+  }
+
+  return payload;
+}
+
+// Verifies a signedTransactionInfo JWS and checks it belongs to this app
+export function verifyTransaction(jws, { bundleId, productIds = [], environments = [], ...options } = {}) {
+  const tx = verifySignedPayload(jws, options);
+
+  if (bundleId && tx.bundleId !== bundleId) {
+    throw new AppStoreVerificationError(`Unexpected bundleId: ${tx.bundleId}`);
+  }
+  if (productIds.length && !productIds.includes(tx.productId)) {
+    throw new AppStoreVerificationError(`Unexpected productId: ${tx.productId}`);
+  }
+  if (environments.length && !environments.includes(tx.environment)) {
+    throw new AppStoreVerificationError(`Unexpected environment: ${tx.environment}`);
+  }
+
+  return {
+    transactionId: String(tx.transactionId),
+    originalTransactionId: String(tx.originalTransactionId),
+    productId: tx.productId,
+    environment: tx.environment,
+    purchaseDate: tx.purchaseDate ? new Date(tx.purchaseDate) : null,
+    expiresDate: tx.expiresDate ? new Date(tx.expiresDate) : null,
+    revoked: Boolean(tx.revocationDate),
+    raw: tx,
+  };
+}
+
+// Short-lived ES256 token for the App Store Server API
+function apiToken({ issuerId, keyId, privateKey, bundleId }) {
+  const iat = Math.floor(Date.now() / 1000);
+  const header = Buffer.from(JSON.stringify({ alg: 'ES256', kid: keyId, typ: 'JWT' })).toString('base64url');
+  const claims = Buffer.from(JSON.stringify({
+    iss: issuerId,
+    iat,
+    exp: iat + 300,
+    aud: 'appstoreconnect-v1',
+    bid: bundleId,
+  })).toString('base64url');
+  const signature = crypto.sign('sha256', Buffer.from(`${header}.${claims}`), {
+    key: privateKey,
+    dsaEncoding: 'ieee-p1363',
+  });
+  return `${header}.${claims}.${signature.toString('base64url')}`;
+}
+
+// Looks a transaction id up on the App Store Server API (production first,
+// then sandbox) and returns its signedTransactionInfo JWS
+export async function fetchSignedTransaction(transactionId, config) {
+  if (!config.issuerId || !config.keyId || !config.privateKey || !config.bundleId) {
+    throw new AppStoreVerificationError('App Store Server API credentials not configured', 'not_configured');
+  }
+
+  for (const environment of ['Production', 'Sandbox']) {
+    const response = await fetch(
+      `${APP_STORE_API[environment]}/inApps/v1/transactions/${encodeURIComponent(transactionId)}`,
+      { headers: { Authorization: `Bearer ${apiToken(config)}` } }
+    );
+    if (response.status === 404) continue;
+    if (!response.ok) {
+      throw new AppStoreVerificationError(`App Store Server API error: ${response.status}`, 'upstream');
+    }
+    const { signedTransactionInfo } = await response.json();
+    return signedTransactionInfo;
+  }
+
+  throw new AppStoreVerificationError('Transaction not found');
+}
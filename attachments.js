@@ -0,0 +1,310 @@
+// Attachments on debate questions: images, PDFs and plain-text documents,
+// sent as base64 in the JSON body. They are checked here, then handed to each
+// provider in its own format (see openAIPart, anthropicBlock, geminiPart);
+// models that cannot take a kind get the extracted text instead.
+import crypto from 'crypto';
+import zlib from 'zlib';
+
+export const ATTACHMENT_LIMITS = {
+  files: 4,
+  imageBytes: 5 * 1024 * 1024, // Claude's per-image limit
+  documentBytes: 10 * 1024 * 1024,
+  totalBytes: 20 * 1024 * 1024,
+  name: 200,
+  // Extracted text beyond this is cut off
+  textChars: 100000,
+  // PDF parsing stops after this many content streams or inflated bytes
+  pdfStreams: 2000,
+  pdfInflatedBytes: 16 * 1024 * 1024,
+};
+
+// Base64 grows data by a third; the rest of the body is small
+export const ATTACHMENT_BODY_LIMIT = Math.ceil((ATTACHMENT_LIMITS.totalBytes * 4) / 3) + 1024 * 1024;
+
+export const ATTACHMENT_TYPES = {
+  'image/png': 'image',
+  'image/jpeg': 'image',
+  'image/webp': 'image',
+  'image/gif': 'image',
+  'application/pdf': 'pdf',
+  'text/plain': 'text',
+  'text/markdown': 'text',
+  'text/csv': 'text',
+};
+
+// Rough input token cost of what providers see for each kind
+const IMAGE_TOKENS = 1600;
+const PDF_PAGE_TOKENS = 1500;
+
+// The declared type has to match the content
+const SIGNATURES = {
+  'image/png': (b) => b.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])),
+  'image/jpeg': (b) => b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff,
+  'image/gif': (b) => ['GIF87a', 'GIF89a'].includes(b.toString('latin1', 0, 6)),
+  'image/webp': (b) => b.toString('latin1', 0, 4) === 'RIFF' && b.toString('latin1', 8, 12) === 'WEBP',
+  'application/pdf': (b) => b.subarray(0, 1024).toString('latin1').includes('%PDF-'),
+};
+
+const BASE64 = /^[A-Za-z0-9+/]*={0,2}$/;
+
+// UTF-8 text without NUL bytes, or null
+function decodeText(buffer) {
+  if (buffer.includes(0)) return null;
+  try {
+    return new TextDecoder('utf-8', { fatal: true }).decode(buffer).replace(/^\uFEFF/, '');
+  } catch {
+    return null;
+  }
+}
+
+// Checks the `attachments` of a debate request. Returns { attachments } with
+// the decoded files, or { error, vars } where error is an `errors.*` catalog
+// key. Each file is { id, name, type, kind, size, sha256, tokens, data } plus
+// `text` for documents and `pages` for PDFs.
+export function parseAttachments(input) {
+  if (input === undefined || input === null) return { attachments: [] };
+  if (!Array.isArray(input)) return { error: 'attachmentsNotArray' };
+  if (input.length > ATTACHMENT_LIMITS.files) return { error: 'attachmentsTooMany', vars: { max: ATTACHMENT_LIMITS.files } };
+
+  const attachments = [];
+  let total = 0;
+  for (const [i, item] of input.entries()) {
+    const { name, type, data } = item || {};
+    if (typeof name !== 'string' || !name.trim() || name.length > ATTACHMENT_LIMITS.name
+      || typeof type !== 'string' || typeof data !== 'string' || !data) {
+      return { error: 'attachmentInvalid', vars: { index: i + 1 } };
+    }
+    const kind = ATTACHMENT_TYPES[type.toLowerCase()];
+    if (!kind) return { error: 'attachmentType', vars: { name, types: Object.keys(ATTACHMENT_TYPES).join(', ') } };
+
+    const base64 = data.replace(/^data:[^,]*;base64,/, '').replace(/\s+/g, '');
+    if (!BASE64.test(base64)) return { error: 'attachmentInvalid', vars: { index: i + 1 } };
+    const buffer = Buffer.from(base64, 'base64');
+    const max = kind === 'image' ? ATTACHMENT_LIMITS.imageBytes : ATTACHMENT_LIMITS.documentBytes;
+    if (buffer.length > max) return { error: 'attachmentTooLarge', vars: { name, mb: max / (1024 * 1024) } };
+    total += buffer.length;
+    if (total > ATTACHMENT_LIMITS.totalBytes) return { error: 'attachmentsTooLarge', vars: { mb: ATTACHMENT_LIMITS.totalBytes / (1024 * 1024) } };
+
+    const mime = type.toLowerCase();
+    const inspected = inspectAttachment(mime, buffer);
+    if (!inspected) return { error: 'attachmentMismatch', vars: { name, type: mime } };
+    attachments.push({
+      id: crypto.randomUUID(),
+      name: name.trim(),
+      type: mime,
+      kind: kind === 'image' ? 'image' : 'document',
+      size: buffer.length,
+      sha256: crypto.createHash('sha256').update(buffer).digest('hex'),
+      data: buffer,
+      ...inspected,
+    });
+  }
+  return { attachments };
+}
+
+// { tokens } plus `text` for documents and `pages` for PDFs, or null when the
+// content does not match `type`
+function inspectAttachment(type, buffer) {
+  const kind = ATTACHMENT_TYPES[type];
+  if (kind === 'text') {
+    const text = decodeText(buffer);
+    return text === null ? null : { text: text.slice(0, ATTACHMENT_LIMITS.textChars), tokens: 0 };
+  }
+  if (!SIGNATURES[type]?.(buffer)) return null;
+  if (kind === 'image') return { tokens: IMAGE_TOKENS };
+  const { text, pages } = extractPdfText(buffer);
+  return { text, pages, tokens: attachmentTokens({ type, pages }) };
+}
+
+// Input tokens a natively sent file costs, from its stored record. Text
+// documents are sent as text, so they are counted with the message.
+export function attachmentTokens({ type, pages }) {
+  const kind = ATTACHMENT_TYPES[type];
+  if (kind === 'image') return IMAGE_TOKENS;
+  if (kind === 'pdf') return Math.max(1, pages || 0) * PDF_PAGE_TOKENS;
+  return 0;
+}
+
+// What is stored with the turn: everything but the bytes and the text
+export function attachmentRecord({ data, text, tokens, ...record }) {
+  return { ...record, ...(text !== undefined && { textChars: text.length }) };
+}
+
+// PDF text extraction
+// Best effort without a PDF library: inflate the content streams and collect
+// the strings shown by the text operators. Fonts with custom encodings
+// (common for CJK text) come out empty, as do scanned pages. Inflating is
+// capped (ATTACHMENT_LIMITS.pdfStreams, pdfInflatedBytes) so a crafted file
+// cannot hold the event loop; this runs once per upload.
+
+const STRING_ESCAPES = { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f' };
+
+// A (literal string) starting at `i`; returns [text, index after it]
+function literalString(src, i) {
+  let depth = 0;
+  let out = '';
+  for (let j = i; j < src.length; j++) {
+    const c = src[j];
+    if (c === '\\') {
+      const next = src[j + 1];
+      if (STRING_ESCAPES[next]) {
+        out += STRING_ESCAPES[next];
+        j += 1;
+      } else if (/[0-7]/.test(next)) {
+        const octal = /^[0-7]{1,3}/.exec(src.slice(j + 1, j + 4))[0];
+        out += String.fromCharCode(parseInt(octal, 8));
+        j += octal.length;
+      } else if (next === '\r' || next === '\n') {
+        j += next === '\r' && src[j + 2] === '\n' ? 2 : 1;
+      } else {
+        out += next ?? '';
+        j += 1;
+      }
+    } else if (c === '(') {
+      if (depth++ > 0) out += c;
+    } else if (c === ')') {
+      if (--depth === 0) return [out, j + 1];
+      out += c;
+    } else {
+      out += c;
+    }
+  }
+  return [out, src.length];
+}
+
+function hexString(hex) {
+  const clean = hex.replace(/[^0-9A-Fa-f]/g, '');
+  const bytes = Buffer.from(clean.length % 2 ? `${clean}0` : clean, 'hex');
+  if (bytes[0] === 0xfe && bytes[1] === 0xff) return Buffer.from(bytes.subarray(2, bytes.length - (bytes.length % 2))).swap16().toString('utf16le');
+  return bytes.toString('latin1');
+}
+
+// Text shown by one content stream
+function contentText(src) {
+  let text = '';
+  let strings = [];
+  let inArray = false;
+  for (let i = 0; i < src.length;) {
+    const c = src[i];
+    if (c === '(') {
+      const [s, next] = literalString(src, i);
+      strings.push(s);
+      i = next;
+    } else if (c === '<' && src[i + 1] !== '<') {
+      const end = src.indexOf('>', i);
+      if (end < 0) break;
+      strings.push(hexString(src.slice(i + 1, end)));
+      i = end + 1;
+    } else if (c === '[') {
+      inArray = true;
+      i += 1;
+    } else if (c === ']') {
+      inArray = false;
+      i += 1;
+    } else if (c === '%') {
+      const end = src.indexOf('\n', i);
+      i = end < 0 ? src.length : end + 1;
+    } else if (inArray && /[-\d.]/.test(c)) {
+      // Large negative kerning inside TJ arrays is how PDFs space words
+      const number = /^-?\d*\.?\d+/.exec(src.slice(i, i + 16));
+      if (number && Number(number[0]) < -200) strings.push(' ');
+      i += number ? number[0].length : 1;
+    } else if (/[A-Za-z'"*]/.test(c)) {
+      const op = /^[A-Za-z'"*]+/.exec(src.slice(i, i + 8))[0];
+      if (op === 'Tj' || op === 'TJ') text += strings.join('');
+      else if (op === "'" || op === '"') text += `\n${strings.join('')}`;
+      else if (op === 'T*' || op === 'ET') text += '\n';
+      else if (op === 'Td' || op === 'TD' || op === 'Tm') text += ' ';
+      if (!inArray) strings = [];
+      i += op.length;
+    } else {
+      i += 1;
+    }
+  }
+  return text;
+}
+
+// { text, pages } for a PDF; text is '' when nothing could be extracted
+export function extractPdfText(buffer) {
+  const src = buffer.toString('latin1');
+  const counts = [...src.matchAll(/\/Type\s*\/Pages\b[^>]*?\/Count\s+(\d+)|\/Count\s+(\d+)[^>]*?\/Type\s*\/Pages\b/g)]
+    .map((m) => Number(m[1] || m[2]));
+  const pages = counts.length ? Math.max(...counts) : (src.match(/\/Type\s*\/Page\b/g) || []).length;
+
+  let text = '';
+  let streamCount = 0;
+  let inflated = 0;
+  const streams = /stream\r?\n/g;
+  let match;
+  while ((match = streams.exec(src)) && text.length < ATTACHMENT_LIMITS.textChars) {
+    if (++streamCount > ATTACHMENT_LIMITS.pdfStreams) break;
+    const start = match.index + match[0].length;
+    const end = src.indexOf('endstream', start);
+    if (end < 0) break;
+    streams.lastIndex = end + 9;
+
+    // The stream's dictionary sits between the object header and `stream`
+    const dict = src.slice(Math.max(0, src.lastIndexOf(' obj', match.index)), match.index);
+    if (/\/(Subtype|Length1|Type\s*\/(XRef|ObjStm|XObject|Metadata))\b/.test(dict)) continue;
+    const filters = /\/Filter\s*(\[[^\]]*\]|\/\w+)/.exec(dict)?.[1] || '';
+    if (filters && filters.replace(/[[\]\s]/g, '') !== '/FlateDecode') continue;
+
+    let raw = buffer.subarray(start, end);
+    const budget = ATTACHMENT_LIMITS.pdfInflatedBytes - inflated;
+    if (raw.length > budget) break;
+    try {
+      if (filters) raw = zlib.inflateSync(raw, { finishFlush: zlib.constants.Z_SYNC_FLUSH, maxOutputLength: budget });
+    } catch (e) {
+      // Past the budget nothing more is read; other errors skip the stream
+      if (e.code === 'ERR_BUFFER_TOO_LARGE') break;
+      continue;
+    }
+    inflated += raw.length;
+    const content = raw.toString('latin1');
+    if (!/\bBT\b/.test(content)) continue;
+    text += `${contentText(content)}\n`;
+  }
+
+  text = text
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+    .replace(/[ \t]+/g, ' ')
+    .replace(/ *\n */g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim()
+    .slice(0, ATTACHMENT_LIMITS.textChars);
+  // A few stray glyphs are not text worth sending
+  return { text: (text.match(/\p{L}/gu) || []).length >= 20 ? text : '', pages };
+}
+
+// Provider formats
+// Each returns the native part for an image or PDF. Text documents, and
+// anything a model cannot take natively, go into the message text instead.
+
+function dataUrl(attachment) {
+  return `data:${attachment.type};base64,${attachment.data.toString('base64')}`;
+}
+
+// OpenAI Chat Completions content part
+export function openAIPart(attachment) {
+  if (attachment.kind === 'image') return { type: 'image_url', image_url: { url: dataUrl(attachment) } };
+  return { type: 'file', file: { filename: attachment.name, file_data: dataUrl(attachment) } };
+}
+
+// Anthropic Messages content block
+export function anthropicBlock(attachment) {
+  const source = { type: 'base64', media_type: attachment.type, data: attachment.data.toString('base64') };
+  if (attachment.kind === 'image') return { type: 'image', source };
+  return { type: 'document', source, title: attachment.name };
+}
+
+// Gemini content part
+export function geminiPart(attachment) {
+  return { inlineData: { mimeType: attachment.type, data: attachment.data.toString('base64') } };
+}
+
+// Whether a model that accepts `accepts` ('image', 'pdf') gets the
+// attachment natively
+export function nativeAttachment(attachment, accepts = []) {
+  if (attachment.kind === 'image') return accepts.includes('image');
+  return attachment.type === 'application/pdf' && accepts.includes('pdf');
+}
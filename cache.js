@@ -0,0 +1,74 @@
+// Debate response cache helpers. A finished debate is stored under a content
+// address of everything that shapes its output, together with the SSE events
+// it produced, so a repeat of the same question can be played back instead of
+// calling the providers again.
+import crypto from 'crypto';
+import { sleep } from './resilience.js';
+
+// Case, spacing and trailing punctuation do not change the question
+export function normalizePrompt(text) {
+  return String(text || '')
+    .normalize('NFKC')
+    .toLocaleLowerCase()
+    .replace(/\s+/g, ' ')
+    .replace(/[\s.!?。？！]+$/u, '')
+    .trim();
+}
+
+// JSON with object keys sorted, so equal parts always hash the same
+function canonical(value) {
+  if (Array.isArray(value)) return `[${value.map(canonical).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().filter((k) => value[k] !== undefined).map((k) => `${JSON.stringify(k)}:${canonical(value[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+export function cacheKey(parts) {
+  return crypto.createHash('sha256').update(canonical(parts)).digest('hex');
+}
+
+// Recorded events ({ event, data, at }) as { event, data, delay }, where
+// `delay` is the gap in ms to the previous event. Text chunks of the same
+// model and round that arrive within `windowMs` are merged, which keeps
+// entries small without changing the pace much; any other event ends the
+// merge so the order of events is kept.
+export function compactEvents(events, windowMs = 100) {
+  const out = [];
+  const open = new Map();
+  let windowStart = -Infinity;
+  let last = events[0]?.at ?? 0;
+
+  for (const { event, data, at } of events) {
+    const stream = event === 'chunk' ? `${data.model}:${data.round}` : event === 'moderator_chunk' ? 'moderator' : null;
+    if (at - windowStart > windowMs) {
+      open.clear();
+      windowStart = at;
+    }
+
+    const target = stream && open.get(stream);
+    if (target) {
+      target.data = { ...target.data, text: target.data.text + data.text };
+      continue;
+    }
+
+    const entry = { event, data, delay: Math.max(0, at - last) };
+    out.push(entry);
+    last = at;
+    if (stream) open.set(stream, entry);
+    else open.clear();
+  }
+  return out;
+}
+
+// Sends compacted events again at their recorded pace, each gap capped at
+// `maxGapMs`. Resolves to true when every event was sent, false when
+// `signal` aborted the replay first.
+export async function replayEvents(events, send, { signal, maxGapMs = 400 } = {}) {
+  for (const { event, data, delay } of events) {
+    if (delay) await sleep(Math.min(delay, maxGapMs), signal);
+    if (signal?.aborted) return false;
+    send(event, data);
+  }
+  return true;
+}
@@ -0,0 +1,114 @@
+// Context window management for debate prompts. Earlier turns and rounds are
+// given to each model as a conversation (its own answers as `assistant`
+// messages, the question and everyone else's answers as `user` messages).
+// When that conversation grows past the model's token budget, its oldest
+// parts are replaced by a summary.
+
+// Context windows in tokens, by model name prefix (the longest match wins)
+export const DEFAULT_CONTEXT_WINDOWS = {
+  'gpt-4o': 128000,
+  'gpt-4.1': 1047576,
+  'gpt-4-turbo': 128000,
+  'gpt-4': 8192,
+  'gpt-3.5': 16385,
+  o1: 200000,
+  o3: 200000,
+  'o4-mini': 200000,
+  claude: 200000,
+  gemini: 1048576,
+  'gemini-1.0': 32760,
+};
+
+// Unknown models (e.g. behind COMPAT_BASE_URL) get a small window to be safe
+export const FALLBACK_CONTEXT_WINDOW = 8192;
+
+// Rough characters per token by model family; refined per model from the
+// input token counts providers report (see TokenCounter.observe)
+const CHARS_PER_TOKEN = { gpt: 4, o1: 4, o3: 4, o4: 4, claude: 3.5, gemini: 4 };
+const FALLBACK_CHARS_PER_TOKEN = 4;
+
+// Role markers and message framing cost a few tokens each
+const MESSAGE_OVERHEAD = 4;
+
+function byPrefix(table, model) {
+  const name = String(model || '').toLowerCase();
+  const key = Object.keys(table)
+    .filter((prefix) => name.startsWith(prefix.toLowerCase()))
+    .sort((a, b) => b.length - a.length)[0];
+  return key === undefined ? undefined : table[key];
+}
+
+export function contextWindow(model, windows = DEFAULT_CONTEXT_WINDOWS) {
+  return byPrefix(windows, model) ?? FALLBACK_CONTEXT_WINDOW;
+}
+
+function charsOf(messages) {
+  return messages.reduce((sum, m) => sum + m.content.length, 0);
+}
+
+// Estimates token counts per model without shipping each provider's
+// tokenizer. Every reported call nudges that model's characters-per-token
+// ratio towards what the provider actually counted.
+export class TokenCounter {
+  constructor() {
+    this.ratios = new Map(); // model -> calibrated chars per token
+  }
+
+  ratio(model) {
+    return this.ratios.get(model) ?? byPrefix(CHARS_PER_TOKEN, model) ?? FALLBACK_CHARS_PER_TOKEN;
+  }
+
+  // Attachments sent natively carry their own estimate as `tokens`
+  count(model, messages) {
+    const attached = messages.reduce((sum, m) => sum + (m.attachments || []).reduce((n, a) => n + a.tokens, 0), 0);
+    return Math.ceil(charsOf(messages) / this.ratio(model)) + MESSAGE_OVERHEAD * messages.length + attached;
+  }
+
+  // `inputTokens` also covers the adapter's system prompt, so short prompts
+  // say little about the ratio and are skipped, as are attachments
+  observe(model, messages, inputTokens) {
+    if (messages.some((m) => m.attachments?.length)) return;
+    const chars = charsOf(messages);
+    const tokens = inputTokens - MESSAGE_OVERHEAD * messages.length;
+    if (chars < 2000 || tokens <= 0) return;
+    const observed = Math.min(8, Math.max(1.5, chars / tokens));
+    this.ratios.set(model, this.ratio(model) * 0.8 + observed * 0.2);
+  }
+}
+
+// Cuts `text` to about `maxChars`, at a word boundary where there is one
+export function clipText(text, maxChars) {
+  if (text.length <= maxChars) return text;
+  const cut = text.slice(0, maxChars);
+  const space = cut.lastIndexOf(' ');
+  return `${(space > maxChars * 0.8 ? cut.slice(0, space) : cut).trimEnd()} …`;
+}
+
+// Fits a conversation into `budget` tokens. `units` are the parts that may
+// be summarized, oldest first; `render(summary, from, clipTokens)` builds the
+// messages with units[from..] verbatim, the ones before replaced by
+// `summary`, and quoted answers clipped to `clipTokens` when set. The
+// smallest prefix that makes room is summarized (`summarize(units)` resolves
+// to the text). If the newest parts alone are still too large, quoted
+// answers are clipped harder until they fit.
+export async function fitContext({ units, render, count, budget, summarize, summaryTokens = 400 }) {
+  let messages = render(null, 0, null);
+  let tokens = count(messages);
+  if (tokens <= budget) return { messages, tokens, summarized: 0 };
+
+  let from = 0;
+  let summary = null;
+  if (units.length) {
+    from = 1;
+    while (from < units.length && count(render('', from, null)) + summaryTokens > budget) from += 1;
+    summary = await summarize(units.slice(0, from));
+    messages = render(summary, from, null);
+    tokens = count(messages);
+  }
+
+  for (let clipTokens = 800; tokens > budget && clipTokens >= 50; clipTokens = Math.floor(clipTokens / 2)) {
+    messages = render(summary, from, clipTokens);
+    tokens = count(messages);
+  }
+  return { messages, tokens, summarized: from };
+}
@@ -0,0 +1,97 @@
+// User feedback: what POST /api/feedback accepts and how admins triage it.
+// An item has a category, a workflow status (new -> triaged -> resolved),
+// private admin notes and replies the sending device can read.
+
+export const FEEDBACK_CATEGORIES = ['bug', 'feature', 'billing', 'content'];
+export const FEEDBACK_STATUSES = ['new', 'triaged', 'resolved'];
+
+export const FEEDBACK_LIMITS = {
+  message: 4000,
+  userName: 100,
+  userEmail: 200,
+  userId: 200,
+  deviceInfoKeys: 20,
+  deviceInfoKey: 40,
+  deviceInfoValue: 200,
+  notes: 4000,
+  reply: 4000,
+};
+
+const USER_FIELDS = ['userId', 'userName', 'userEmail'];
+
+function text(value) {
+  return typeof value === 'string' ? value.trim() : '';
+}
+
+// `deviceInfo` is a flat object of short strings, numbers and booleans
+// (OS version, app build, model); anything else is refused
+function deviceInfoError(info) {
+  if (info === undefined || info === null) return null;
+  if (typeof info !== 'object' || Array.isArray(info)) return { error: 'feedbackDeviceInfo' };
+  const entries = Object.entries(info);
+  if (entries.length > FEEDBACK_LIMITS.deviceInfoKeys) return { error: 'feedbackDeviceInfo' };
+  const bad = entries.some(([key, value]) => key.length > FEEDBACK_LIMITS.deviceInfoKey
+    || !['string', 'number', 'boolean'].includes(typeof value)
+    || String(value).length > FEEDBACK_LIMITS.deviceInfoValue);
+  return bad ? { error: 'feedbackDeviceInfo' } : null;
+}
+
+// Checks a feedback body. Returns { feedback } with the accepted fields, or
+// { error, vars } where error is an `errors.*` catalog key. Older app builds
+// send the text as `feedback` and no category; both still work.
+export function validateFeedback(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) return { error: 'feedbackInvalid' };
+
+  const message = text(input.message) || text(input.feedback);
+  if (!message) return { error: 'feedbackMessageRequired' };
+  if (message.length > FEEDBACK_LIMITS.message) return { error: 'feedbackFieldTooLong', vars: { field: 'message', max: FEEDBACK_LIMITS.message } };
+
+  const category = input.category ?? null;
+  if (category !== null && !FEEDBACK_CATEGORIES.includes(category)) {
+    return { error: 'feedbackCategory', vars: { categories: FEEDBACK_CATEGORIES.join(', ') } };
+  }
+
+  const feedback = { message, category };
+  for (const field of USER_FIELDS) {
+    if (input[field] === undefined || input[field] === null) continue;
+    if (typeof input[field] !== 'string') return { error: 'feedbackInvalid' };
+    const value = input[field].trim();
+    if (value.length > FEEDBACK_LIMITS[field]) return { error: 'feedbackFieldTooLong', vars: { field, max: FEEDBACK_LIMITS[field] } };
+    if (value) feedback[field] = value;
+  }
+
+  const infoError = deviceInfoError(input.deviceInfo);
+  if (infoError) return infoError;
+  feedback.deviceInfo = input.deviceInfo || {};
+
+  if (input.sessionId !== undefined && input.sessionId !== null) {
+    if (typeof input.sessionId !== 'string') return { error: 'feedbackInvalid' };
+    feedback.sessionId = input.sessionId;
+  }
+
+  return { feedback };
+}
+
+// Checks an admin update ({ status, category, notes }, all optional).
+// Returns { changes } or { error } with an English message.
+export function validateTriage(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) return { error: 'Body must be an object' };
+
+  const changes = {};
+  if (input.status !== undefined) {
+    if (!FEEDBACK_STATUSES.includes(input.status)) return { error: `status must be one of: ${FEEDBACK_STATUSES.join(', ')}` };
+    changes.status = input.status;
+  }
+  if (input.category !== undefined) {
+    if (input.category !== null && !FEEDBACK_CATEGORIES.includes(input.category)) {
+      return { error: `category must be null or one of: ${FEEDBACK_CATEGORIES.join(', ')}` };
+    }
+    changes.category = input.category;
+  }
+  if (input.notes !== undefined) {
+    if (typeof input.notes !== 'string') return { error: 'notes must be a string' };
+    if (input.notes.length > FEEDBACK_LIMITS.notes) return { error: `notes must be at most ${FEEDBACK_LIMITS.notes} characters` };
+    changes.notes = input.notes;
+  }
+  return { changes };
+}
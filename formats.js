@@ -0,0 +1,197 @@
+// Debate formats: round counts, per-round instructions and moderator
+// templates, kept as data so adding a format needs no changes to the debate
+// loop. Templates use `{name}` placeholders filled in at prompt time:
+//
+//   instructions / seriousInstructions  {round} {side} {brief} {helpline}
+//   moderator                           {language} {intro} {question} {transcript} {helpline}
+//
+// `instructions[i]` applies to round i + 1; later rounds reuse the last one.
+// Formats with `roles` give every provider a side: 'alternate' cycles through
+// the roles, 'first' gives the first role to the first provider and the last
+// role to everyone else.
+// Hidden formats are not listed or selectable; the server switches to them
+// itself (the crisis protocol).
+//
+// The text here is English. A locale catalog's `formats.<id>` section
+// (locales/*.json) overrides any of name, description, instructions,
+// seriousInstructions, reply, moderatorIntro and moderator, and role labels
+// and briefs by role id.
+import { DEFAULT_LOCALE, fill, message, t } from './i18n.js';
+
+export const DEFAULT_FORMAT = 'classic';
+
+const CONSENSUS_MARKER = /CONSENSUS:\s*YES/i;
+
+const CRISIS_INSTRUCTIONS = [
+  '[SUPPORT]: The person writing may be thinking about suicide or self-harm. Do not debate, joke or reference the other AIs. Respond with warmth in a few short sentences: acknowledge how they feel, tell them they do not have to go through this alone, and encourage them to reach out to someone they trust or a crisis line right now. Include this helpline information: {helpline} Never describe methods of self-harm.',
+];
+
+export const DEBATE_FORMATS = {
+  classic: {
+    name: 'Classic',
+    description: 'Up to three rounds: a short answer, playful cross-references, then a serious analysis.',
+    rounds: { min: 1, max: 3, default: 1 },
+    instructions: [
+      '[ROUND 1 INSTRUCTION]: Provide a short and concise answer.',
+      "[ROUND 2 INSTRUCTION]: This is the second round. Reference other AIs' responses (not your own!) with brief, playful references. IGNORE YOUR OWN PREVIOUS RESPONSE - act as if you never wrote it. Only mention other AIs. Be witty and make the reader smile! Provide a clear and fluent explanation without writing too long.",
+      "[ROUND 3 - SERIOUS ANALYSIS]: Alright, let's get serious. If you requested three rounds, you must be serious about this topic! 😏 Analyze other AIs' previous responses, start with a clever quip but then dive deep. Provide practical solutions, real data, concrete suggestions. Be both entertaining and informative - but this time deliver genuinely useful results!",
+    ],
+    seriousInstructions: [
+      '[ROUND 1 INSTRUCTION]: This appears to be a serious topic. Provide direct, helpful, and empathetic responses without playful elements.',
+      "[ROUND 2 INSTRUCTION]: Reference other AIs' responses professionally. Be thorough, supportive, and provide helpful information. Provide a clear and fluent explanation without writing too long.",
+      "[ROUND 3 - COMPREHENSIVE ANALYSIS]: Provide a thorough, professional analysis of other AIs' responses. Focus on practical solutions and actionable advice.",
+    ],
+    reply: 'Briefly comment on agreements/disagreements and, if needed, refine your answer.',
+    // Personalized intro for 3-round conversations - AI will detect language from responses
+    moderatorIntro: { 3: "Since you chose three rounds, you're quite serious about this topic, well then..." },
+    moderator: 'Act as a moderator. Provide a balanced, concise synthesis that highlights agreements, disagreements, and the most actionable conclusions. {language}{intro}\n\n{transcript}',
+  },
+
+  oxford: {
+    name: 'Oxford debate',
+    description: 'The question is a motion. Models are assigned the proposition or the opposition and argue it through opening, rebuttal and closing.',
+    rounds: { min: 3, max: 3, default: 3 },
+    roles: [
+      { id: 'pro', label: 'PROPOSITION' },
+      { id: 'con', label: 'OPPOSITION' },
+    ],
+    assignRoles: 'alternate',
+    instructions: [
+      '[OPENING - {side}]: Treat the question as a motion. You speak for the {side} whatever your own view is. Make your strongest opening case in a few short paragraphs.',
+      '[REBUTTAL - {side}]: Rebut the strongest points made by the other side. Stay on the {side}.',
+      '[CLOSING - {side}]: Give a short closing statement for the {side}: which arguments stood, which of the other side fell, and why your side should carry the motion.',
+    ],
+    reply: 'Engage with the other speakers by name and answer their arguments directly.',
+    moderator: 'Act as the chair of an Oxford-style debate. Summarise the strongest arguments for and against the motion, note which points went unanswered, and declare which side argued more convincingly and why. {language}\n\nMotion: {question}\n\n{transcript}',
+  },
+
+  devils_advocate: {
+    name: "Devil's advocate",
+    description: 'One model argues against the consensus on purpose; the others answer sincerely and defend their view.',
+    rounds: { min: 2, max: 3, default: 2 },
+    roles: [
+      { id: 'devil', label: "DEVIL'S ADVOCATE", brief: 'Challenge the obvious answer: argue the strongest contrary position, poke holes and question assumptions, even if you do not believe it.' },
+      { id: 'panel', label: 'PANELIST', brief: "Answer sincerely and defend your view against the devil's advocate where it matters." },
+    ],
+    assignRoles: 'first',
+    instructions: [
+      '[ROUND 1 - {side}]: {brief} Keep it short.',
+      "[ROUND 2 - {side}]: {brief} Respond directly to the other speakers' latest points.",
+      '[ROUND 3 - {side}]: Final word. Concede the points that landed against you and state what still stands.',
+    ],
+    reply: 'Respond to the other speakers by name.',
+    moderator: "Act as a moderator. Summarise the devil's advocate's strongest objections, how the panel answered them, and which objections still deserve attention. End with a balanced conclusion. {language}\n\n{transcript}",
+  },
+
+  socratic: {
+    name: 'Socratic',
+    description: 'Models state a position, question each other\'s assumptions, then answer the questions put to them.',
+    rounds: { min: 3, max: 3, default: 3 },
+    instructions: [
+      '[ROUND 1 - THESIS]: Give a short, clear answer that states your position and the assumptions behind it.',
+      '[ROUND 2 - QUESTIONS]: Do not answer the question again. Ask the other models two or three probing questions that expose hidden assumptions, unclear terms or weak steps in their answers.',
+      '[ROUND 3 - EXAMINATION]: Answer the questions the other models put to you honestly and revise your position where they exposed a weakness. End with what you now believe and why.',
+    ],
+    reply: 'Name the model you are addressing.',
+    moderator: 'Act as a Socratic moderator. Summarise which assumptions were questioned, how the answers changed under examination, and what remains open. {language}\n\n{transcript}',
+  },
+
+  consensus: {
+    name: 'Consensus',
+    description: 'Models revise their answers round by round until they all agree, or the round limit is reached.',
+    rounds: { min: 2, max: 5, default: 4 },
+    untilConsensus: true,
+    instructions: [
+      '[ROUND 1 - PROPOSAL]: Propose a concise answer.',
+      '[ROUND {round} - CONVERGE]: Work toward one answer the whole panel can accept: keep what others got right, drop what they convinced you was wrong, and say plainly where you still differ. End your reply with the line "CONSENSUS: YES" if you now fully accept the other models\' position, otherwise "CONSENSUS: NO".',
+    ],
+    reply: 'State which of their points you accept and which you do not.',
+    moderator: 'Act as a facilitator. State the answer the panel agreed on or, if they did not fully converge, the common ground and the disagreements that remain. {language}\n\n{transcript}',
+  },
+
+  // Used when the safety classifier flags a risk of self-harm
+  crisis: {
+    name: 'Support',
+    description: 'A single round of calm, supportive answers with helpline information.',
+    rounds: { min: 1, max: 1, default: 1 },
+    hidden: true,
+    // Already serious, so the generic serious note is left off
+    serious: true,
+    instructions: CRISIS_INSTRUCTIONS,
+    reply: 'Do not comment on the other answers.',
+    moderator: 'Write one short, warm message to the person who wrote the question below, bringing together the care in the answers. Do not summarise a debate. Make sure it ends with this helpline information: {helpline} {language}\n\nQuestion: {question}\n\n{transcript}',
+  },
+};
+
+// Case-insensitive lookup, with the text in `locale`; null for unknown ids
+export function findFormat(id, locale = DEFAULT_LOCALE) {
+  const key = String(id || DEFAULT_FORMAT).toLowerCase();
+  if (!Object.hasOwn(DEBATE_FORMATS, key)) return null;
+
+  const format = DEBATE_FORMATS[key];
+  const { roles, ...localized } = message(locale, `formats.${key}`) || {};
+  return {
+    id: key,
+    locale,
+    ...format,
+    ...localized,
+    ...(format.roles && { roles: format.roles.map((role) => ({ ...role, ...roles?.[role.id] })) }),
+  };
+}
+
+export function clampRounds(format, rounds) {
+  const { min, max } = format.rounds;
+  return Math.max(min, Math.min(max, Number(rounds) || format.rounds.default));
+}
+
+// Side given to the provider at `index` in the debate, or null
+export function roleFor(format, index) {
+  if (!format.roles) return null;
+  return format.assignRoles === 'alternate'
+    ? format.roles[index % format.roles.length]
+    : format.roles[Math.min(index, format.roles.length - 1)];
+}
+
+export function roundInstruction(format, round, { role = null, isSerious = false, helpline = '' } = {}) {
+  const list = (isSerious && format.seriousInstructions) || format.instructions;
+  const instruction = fill(list[Math.min(round, list.length) - 1], {
+    round,
+    side: role?.label || '',
+    brief: role?.brief || '',
+    helpline,
+  });
+  return isSerious && !format.seriousInstructions && !format.serious
+    ? `${instruction}\n\n${t(format.locale, 'prompts.seriousNote')}`
+    : instruction;
+}
+
+export function moderatorInstruction(format, { question, transcript, rounds, helpline = '' }) {
+  const intro = format.moderatorIntro?.[rounds];
+  return fill(format.moderator, {
+    language: t(format.locale, 'prompts.languageRule'),
+    intro: intro ? `\n\n${intro}` : '',
+    question,
+    transcript,
+    helpline,
+  });
+}
+
+// True when every answer of the round carries the agreement marker
+export function reachedConsensus(texts) {
+  return texts.length > 0 && texts.every((text) => CONSENSUS_MARKER.test(text));
+}
+
+// Public description for GET /api/formats
+export function listFormats(locale = DEFAULT_LOCALE) {
+  return Object.keys(DEBATE_FORMATS).filter((id) => !DEBATE_FORMATS[id].hidden).map((id) => {
+    const { name, description, rounds, roles, untilConsensus } = findFormat(id, locale);
+    return {
+      id,
+      name,
+      description,
+      rounds,
+      roles: roles ? roles.map(({ id: roleId, label }) => ({ id: roleId, label })) : [],
+      untilConsensus: Boolean(untilConsensus),
+    };
+  });
+}
@@ -0,0 +1,77 @@
+// Locale catalogs for user-facing server text: limit messages, error
+// responses, SSE status messages, the feedback page and the debate prompt
+// scaffolding. Each locale is one JSON file in locales/ named by its language
+// code (tr.json, en.json, ...); adding a file adds the locale.
+//
+// Keys are dot paths into the catalog ("errors.sessionNotFound") and values
+// may use `{name}` placeholders. A key missing from a catalog falls back to
+// English, then to the key itself. A catalog's `formats` section overrides
+// the English templates of formats.js per format.
+import fs from 'fs';
+
+export const DEFAULT_LOCALE = 'en';
+
+const LOCALES_DIR = new URL('./locales/', import.meta.url);
+
+const catalogs = new Map(
+  fs.readdirSync(LOCALES_DIR)
+    .filter((file) => file.endsWith('.json'))
+    .map((file) => [file.slice(0, -5).toLowerCase(), JSON.parse(fs.readFileSync(new URL(file, LOCALES_DIR), 'utf8'))])
+);
+
+// "tr", "Turkish" and "Türkçe" all name the same locale
+const aliases = new Map(
+  [...catalogs].flatMap(([code, catalog]) =>
+    [code, catalog.meta?.name, catalog.meta?.englishName]
+      .filter(Boolean)
+      .map((alias) => [alias.toLocaleLowerCase(), code]))
+);
+
+// Supported locale for a language code, tag ("tr-TR") or name, or null
+export function localeFor(value) {
+  const key = String(value || '').trim().toLocaleLowerCase().replace('_', '-');
+  if (!key) return null;
+  return aliases.get(key) || aliases.get(key.split('-')[0]) || null;
+}
+
+// Language tags of an Accept-Language header, most preferred first
+function acceptedLanguages(header) {
+  return String(header || '')
+    .split(',')
+    .map((part, index) => {
+      const [tag, ...params] = part.trim().split(';');
+      const q = params.map((p) => p.trim()).find((p) => p.startsWith('q='));
+      return { tag, q: q ? Number(q.slice(2)) : 1, index };
+    })
+    .filter(({ tag, q }) => tag && tag !== '*' && q > 0)
+    .sort((a, b) => b.q - a.q || a.index - b.index)
+    .map(({ tag }) => tag);
+}
+
+// First supported locale among explicit choices (a `language` field) and an
+// Accept-Language header, else `fallback`
+export function resolveLocale({ language, acceptLanguage, fallback = DEFAULT_LOCALE } = {}) {
+  for (const candidate of [language, ...acceptedLanguages(acceptLanguage)]) {
+    const locale = localeFor(candidate);
+    if (locale) return locale;
+  }
+  return localeFor(fallback) || DEFAULT_LOCALE;
+}
+
+function lookup(catalog, key) {
+  return key.split('.').reduce((node, part) => (node && typeof node === 'object' ? node[part] : undefined), catalog);
+}
+
+// Raw catalog value (string, array or object) with the English fallback
+export function message(locale, key) {
+  return lookup(catalogs.get(locale), key) ?? lookup(catalogs.get(DEFAULT_LOCALE), key);
+}
+
+export function fill(template, vars = {}) {
+  return template.replace(/\{(\w+)\}/g, (match, name) => (name in vars ? vars[name] : match));
+}
+
+export function t(locale, key, vars) {
+  const value = message(locale, key);
+  return typeof value === 'string' ? fill(value, vars) : key;
+}
@@ -0,0 +1,16 @@
+// Structured logs: one JSON object per line for the log pipeline,
+// { time, level, msg, ...fields }. `msg` is a fixed snake_case event name and
+// the fields carry the details, so lines can be filtered without parsing
+// free text.
+
+// `error` field for a caught error; `stack` adds the stack trace
+export function errorField(error, { stack = false } = {}) {
+  return String((stack && error?.stack) || error?.message || error);
+}
+
+export function logJson(level, msg, fields = {}) {
+  const line = JSON.stringify({ time: new Date().toISOString(), level, msg, ...fields });
+  if (level === 'error') console.error(line);
+  else if (level === 'warn') console.warn(line);
+  else console.log(line);
+}
@@ -0,0 +1,108 @@
+// Prometheus metrics, served as text by GET /metrics. Everything lives in one
+// registry next to the default Node process metrics (CPU, memory, event loop).
+import client from 'prom-client';
+
+export const registry = new client.Registry();
+client.collectDefaultMetrics({ register: registry, prefix: 'agora_' });
+
+const LATENCY_BUCKETS = [0.1, 0.25, 0.5, 1, 2, 4, 8, 15, 30, 60, 120];
+
+export const httpRequests = new client.Counter({
+  name: 'agora_http_requests_total',
+  help: 'HTTP requests by method, route and status code',
+  labelNames: ['method', 'route', 'status'],
+  registers: [registry],
+});
+
+export const httpDuration = new client.Histogram({
+  name: 'agora_http_request_duration_seconds',
+  help: 'Time until the response finished, by method and route (SSE routes last the whole debate)',
+  labelNames: ['method', 'route'],
+  buckets: LATENCY_BUCKETS,
+  registers: [registry],
+});
+
+export const providerFirstChunk = new client.Histogram({
+  name: 'agora_provider_first_chunk_seconds',
+  help: 'Time from calling a provider to its first text chunk',
+  labelNames: ['provider'],
+  buckets: LATENCY_BUCKETS,
+  registers: [registry],
+});
+
+export const providerDuration = new client.Histogram({
+  name: 'agora_provider_duration_seconds',
+  help: 'Total duration of a provider call, by outcome (ok, error, aborted)',
+  labelNames: ['provider', 'outcome'],
+  buckets: LATENCY_BUCKETS,
+  registers: [registry],
+});
+
+export const providerErrors = new client.Counter({
+  name: 'agora_provider_errors_total',
+  help: 'Failed provider calls by provider and error type',
+  labelNames: ['provider', 'type'],
+  registers: [registry],
+});
+
+export const providerAttemptFailures = new client.Counter({
+  name: 'agora_provider_attempt_failures_total',
+  help: 'Failed attempts within provider calls (before retries and fallback models), by provider, error type and whether it was retried',
+  labelNames: ['provider', 'type', 'retried'],
+  registers: [registry],
+});
+
+export const providerCircuitOpen = new client.Gauge({
+  name: 'agora_provider_circuit_open',
+  help: '1 while the provider circuit breaker is open or half-open, else 0',
+  labelNames: ['provider'],
+  registers: [registry],
+});
+
+export const sseConnections = new client.Gauge({
+  name: 'agora_sse_connections',
+  help: 'Clients currently attached to a debate event stream',
+  registers: [registry],
+});
+
+export const roundsConsumed = new client.Counter({
+  name: 'agora_rounds_consumed_total',
+  help: 'Debate rounds charged to devices, by tier',
+  labelNames: ['tier'],
+  registers: [registry],
+});
+
+export const roundsRefunded = new client.Counter({
+  name: 'agora_rounds_refunded_total',
+  help: 'Debate rounds refunded because they were not delivered, by tier',
+  labelNames: ['tier'],
+  registers: [registry],
+});
+
+export const rateLimitRejections = new client.Counter({
+  name: 'agora_rate_limit_rejections_total',
+  help: 'Requests refused by a rate limit, by limit',
+  labelNames: ['limit'],
+  registers: [registry],
+});
+
+export const safetyVerdicts = new client.Counter({
+  name: 'agora_safety_verdicts_total',
+  help: 'Debate prompts classified by the safety classifier, by level (none, serious, crisis)',
+  labelNames: ['level'],
+  registers: [registry],
+});
+
+export const debateCache = new client.Counter({
+  name: 'agora_debate_cache_total',
+  help: 'First debate turns by cache result: hit (played back), shared (joined a running identical debate) or miss',
+  labelNames: ['result'],
+  registers: [registry],
+});
+
+export const contextSummaries = new client.Counter({
+  name: 'agora_context_summaries_total',
+  help: 'Summaries of earlier debate context made to fit a model\'s token budget, by source (model, or fallback when the summarizing call failed)',
+  labelNames: ['source'],
+  registers: [registry],
+});
@@ -0,0 +1,72 @@
+// Deterministic mock providers for running debates offline. They plug into
+// the provider registry like the real adapters and play back scripted chunks,
+// so the SSE flow can be exercised without any API keys.
+//
+// A script (MOCK_SCRIPT=path/to/script.json) is keyed by provider name, then
+// by round number, "moderator", "verdict" (structured-output calls) or
+// "summary" (context summaries of long debates). Each step is one of:
+//
+//   ["Hello ", "world"]                      chunks streamed in order
+//   { "chunks": [...], "error": "boom" }     chunks, then the provider throws
+//   { "echo": true }                         streams back the prompt it got
+//                                            (a conversation as "[role] text",
+//                                            native attachments as <name>)
+//   { "delayMs": 50, "chunks": [...] }       per-step delay between chunks
+//
+// "*" can stand in for any provider. Anything unscripted gets two chunks
+// naming the provider and round, e.g. "MockA round 2" + " answer.", or
+// nothing at all when the step only sets an error. Unscripted verdicts are a
+// minimal valid JSON verdict.
+import fs from 'fs';
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+export function loadMockScript(path) {
+  if (!path) return {};
+  return JSON.parse(fs.readFileSync(path, 'utf8'));
+}
+
+function scriptedStep(script, name, key) {
+  return script[name]?.[key] ?? script['*']?.[key] ?? null;
+}
+
+// `attachments` are the kinds it takes natively, like a real adapter's
+export function createMockProvider(name, { script = {}, delayMs = 0, attachments = [] } = {}) {
+  return {
+    name,
+    model: 'mock',
+    mock: true,
+    attachments,
+    available: () => true,
+    async *stream({ prompt, messages = null, round = 1, moderator = false, summary = false, structured = null, signal, onUsage }) {
+      const key = structured ? 'verdict' : summary ? 'summary' : moderator ? 'moderator' : String(round);
+      const step = scriptedStep(script, name, key);
+      const spec = Array.isArray(step) ? { chunks: step } : step || {};
+      const fallback = structured
+        ? [JSON.stringify({ agreements: [], disagreements: [], stances: [], confidence: 0.5, roundWinners: [], takeaways: [`${name} verdict`] })]
+        : summary ? [`${name} context`, ' summary.']
+        : moderator ? [`${name} moderator`, ' summary.'] : [`${name} round ${round}`, ' answer.'];
+      const input = messages
+        ? messages.map((m) => `[${m.role}] ${(m.attachments || []).map((a) => `<${a.name}> `).join('')}${m.content}`).join('\n\n')
+        : prompt;
+      const chunks = spec.echo ? [input] : spec.chunks || (spec.error ? [] : fallback);
+      const delay = spec.delayMs ?? delayMs;
+
+      // Roughly four characters per token, like the real tokenizers
+      let output = '';
+      const report = () => onUsage?.({ inputTokens: Math.ceil(input.length / 4), outputTokens: Math.ceil(output.length / 4) });
+      report();
+
+      for (const chunk of chunks) {
+        if (delay) await sleep(delay);
+        if (signal?.aborted) return;
+        output += chunk;
+        report();
+        yield chunk;
+      }
+      if (spec.error) throw new Error(spec.error);
+    },
+  };
+}
@@ -0,0 +1,54 @@
+// Debater personas: the character a model plays in a debate. A persona is
+// { name, stance, tone, expertise, wordBudget }, where only the name is
+// required. Personas are assigned per model in the /api/chat body, inline or
+// by the id of one the device saved, and woven into every round prompt.
+import { t } from './i18n.js';
+
+export const PERSONA_LIMITS = {
+  name: 40,
+  text: 300,
+  minWords: 20,
+  maxWords: 800,
+  perDevice: 50,
+};
+
+const TEXT_FIELDS = ['stance', 'tone', 'expertise'];
+
+// Checks a persona from a request body. Returns { persona } with trimmed
+// fields, or { error, vars } where error is an `errors.*` catalog key.
+export function validatePersona(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) return { error: 'personaInvalid' };
+
+  const name = typeof input.name === 'string' ? input.name.trim() : '';
+  if (!name) return { error: 'personaNameRequired' };
+  if (name.length > PERSONA_LIMITS.name) return { error: 'personaFieldTooLong', vars: { field: 'name', max: PERSONA_LIMITS.name } };
+
+  const persona = { name };
+  for (const field of TEXT_FIELDS) {
+    if (input[field] === undefined || input[field] === null || input[field] === '') continue;
+    if (typeof input[field] !== 'string') return { error: 'personaInvalid' };
+    const value = input[field].trim();
+    if (value.length > PERSONA_LIMITS.text) return { error: 'personaFieldTooLong', vars: { field, max: PERSONA_LIMITS.text } };
+    if (value) persona[field] = value;
+  }
+
+  if (input.wordBudget !== undefined && input.wordBudget !== null) {
+    const { minWords: min, maxWords: max } = PERSONA_LIMITS;
+    if (!Number.isInteger(input.wordBudget) || input.wordBudget < min || input.wordBudget > max) {
+      return { error: 'personaWordBudget', vars: { min, max } };
+    }
+    persona.wordBudget = input.wordBudget;
+  }
+
+  return { persona };
+}
+
+// Prompt lines that put a model in character, in `locale`
+export function personaInstruction(persona, locale) {
+  return [
+    t(locale, 'personas.intro', { name: persona.name }),
+    ...TEXT_FIELDS.filter((field) => persona[field]).map((field) => t(locale, `personas.${field}`, { [field]: persona[field] })),
+    persona.wordBudget && t(locale, 'personas.wordBudget', { words: persona.wordBudget }),
+    t(locale, 'personas.stayInCharacter'),
+  ].filter(Boolean).join('\n');
+}
@@ -0,0 +1,85 @@
+// In-memory rate limiting: token buckets for request rates and counters for
+// connections held open. State lives in this process, so limits apply per
+// instance.
+
+const PERIODS = { s: 1000, sec: 1000, min: 60 * 1000, m: 60 * 1000, h: 60 * 60 * 1000, hour: 60 * 60 * 1000, day: 24 * 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+// "30/min" -> { capacity: 30, periodMs: 60000 }; null for "off" or null.
+// Throws on anything else.
+export function parseLimit(spec) {
+  if (spec === null || spec === 'off') return null;
+  const match = /^\s*(\d+)\s*\/\s*(\d*)\s*([a-z]+)\s*$/i.exec(String(spec));
+  const unit = match && PERIODS[match[3].toLowerCase()];
+  if (!unit || Number(match[1]) < 1) throw new Error(`Invalid rate limit "${spec}", expected e.g. "30/min"`);
+  return { capacity: Number(match[1]), periodMs: (Number(match[2]) || 1) * unit };
+}
+
+// A bucket per key holds up to `capacity` tokens and refills at
+// capacity / periodMs, so bursts up to the capacity pass and the sustained
+// rate is capped. Idle (full) buckets are dropped every minute.
+export class TokenBuckets {
+  constructor({ capacity, periodMs }) {
+    this.capacity = capacity;
+    this.rate = capacity / periodMs;
+    this.buckets = new Map(); // key -> { tokens, at }
+    setInterval(() => this.prune(), 60 * 1000).unref();
+  }
+
+  level(key, now) {
+    const bucket = this.buckets.get(key);
+    if (!bucket) return this.capacity;
+    return Math.min(this.capacity, bucket.tokens + (now - bucket.at) * this.rate);
+  }
+
+  // { allowed, remaining, retryAfterMs } without taking a token
+  peek(key, cost = 1, now = Date.now()) {
+    const tokens = this.level(key, now);
+    const allowed = tokens >= cost;
+    return {
+      allowed,
+      remaining: Math.floor(tokens),
+      retryAfterMs: allowed ? 0 : Math.ceil((cost - tokens) / this.rate),
+    };
+  }
+
+  take(key, cost = 1, now = Date.now()) {
+    const result = this.peek(key, cost, now);
+    if (result.allowed) {
+      const tokens = this.level(key, now) - cost;
+      this.buckets.set(key, { tokens, at: now });
+      result.remaining = Math.floor(tokens);
+    }
+    return result;
+  }
+
+  prune(now = Date.now()) {
+    for (const key of this.buckets.keys()) {
+      if (this.level(key, now) >= this.capacity) this.buckets.delete(key);
+    }
+  }
+}
+
+// Counts what each key holds open (e.g. SSE connections), up to `max`
+export class ConcurrencyLimiter {
+  constructor(max) {
+    this.max = max;
+    this.counts = new Map();
+  }
+
+  // A release function, or null when the key is at its limit. Releasing
+  // twice is harmless.
+  acquire(key) {
+    const count = this.counts.get(key) || 0;
+    if (count >= this.max) return null;
+    this.counts.set(key, count + 1);
+
+    let released = false;
+    return () => {
+      if (released) return;
+      released = true;
+      const left = (this.counts.get(key) || 1) - 1;
+      if (left) this.counts.set(key, left);
+      else this.counts.delete(key);
+    };
+  }
+}
@@ -0,0 +1,224 @@
+// Provider resilience: connect/idle timeouts, retries with backoff, fallback
+// models and a circuit breaker, wrapped around a provider adapter without
+// changing its interface.
+//
+// A call tries each model of the chain in turn. Errors before the first chunk
+// are retried on the same model when they look transient, then the next
+// model is tried. Once text has been streamed nothing is retried, since the
+// client already has part of the answer. Consecutive failures open the
+// circuit: the provider reports itself unavailable until the cooldown ends,
+// then one trial call decides whether it closes again. Calls that arrive
+// while the trial is running are refused with CircuitOpenError.
+
+const RETRYABLE = new Set(['rate_limit', 'server', 'timeout', 'network']);
+
+export class ProviderTimeoutError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ProviderTimeoutError';
+  }
+}
+
+export class CircuitOpenError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CircuitOpenError';
+  }
+}
+
+// Coarse error class from the SDK error's HTTP status or Node error code
+export function errorType(error) {
+  const status = error?.status ?? error?.response?.status;
+  if (status === 429) return 'rate_limit';
+  if (status === 401 || status === 403) return 'auth';
+  if (status >= 500) return 'server';
+  if (status >= 400) return 'bad_request';
+  if (error instanceof ProviderTimeoutError || /timeout|timed out/i.test(`${error?.name} ${error?.message}`)) return 'timeout';
+  if (['ECONNRESET', 'ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN'].includes(error?.code || error?.cause?.code)) return 'network';
+  return 'other';
+}
+
+export class CircuitBreaker {
+  constructor({ threshold = 5, cooldownMs = 60 * 1000, onStateChange = null } = {}) {
+    this.threshold = threshold;
+    this.cooldownMs = cooldownMs;
+    this.onStateChange = onStateChange;
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+  }
+
+  #set(state) {
+    if (state === this.state) return;
+    this.state = state;
+    this.onStateChange?.(state);
+  }
+
+  // False while open; after the cooldown the circuit half-opens for one trial
+  // call, and is false again until that call's result is in
+  allowsRequests() {
+    if (this.state === 'open' && Date.now() - this.openedAt >= this.cooldownMs) this.#set('half_open');
+    if (this.state === 'half_open') return !this.trialInFlight;
+    return this.state !== 'open';
+  }
+
+  // Whether a call may start now; when half-open, the caller becomes the trial
+  startCall() {
+    if (!this.allowsRequests()) return false;
+    if (this.state === 'half_open') this.trialInFlight = true;
+    return true;
+  }
+
+  // For a trial call that ended without a result, e.g. cancelled by its client
+  endTrial() {
+    this.trialInFlight = false;
+  }
+
+  success() {
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+    this.#set('closed');
+  }
+
+  failure() {
+    this.failures += 1;
+    this.trialInFlight = false;
+    if (this.state === 'half_open' || this.failures >= this.threshold) {
+      this.openedAt = Date.now();
+      this.#set('open');
+    }
+  }
+
+  toJSON() {
+    return {
+      state: this.state,
+      failures: this.failures,
+      openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+      retryAt: this.state === 'open' ? new Date(this.openedAt + this.cooldownMs).toISOString() : null,
+    };
+  }
+}
+
+// Resolves after `ms`, or early when `signal` aborts. The abort listener is
+// removed either way: retries and replays sleep many times on one signal.
+export function sleep(ms, signal) {
+  return new Promise((resolve) => {
+    const done = () => {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', done);
+      resolve();
+    };
+    const timer = setTimeout(done, ms);
+    signal?.addEventListener('abort', done, { once: true });
+  });
+}
+
+// iterator.next() that aborts the attempt and rejects after `ms`
+function nextWithin(iterator, ms, controller, what) {
+  const next = iterator.next();
+  if (!ms) return next;
+  // The losing promise rejects once the attempt is aborted; nobody awaits it
+  next.catch(() => {});
+
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      const error = new ProviderTimeoutError(`No ${what} within ${ms}ms`);
+      controller.abort(error);
+      reject(error);
+    }, ms);
+  });
+  return Promise.race([next, timeout]).finally(() => clearTimeout(timer));
+}
+
+// Returns an adapter with the same { name, model, available(), stream() }
+// shape. `models` is the fallback chain, primary model first; the adapter's
+// stream receives the one to use as `model`, and `onUsage` reports include it.
+// `onAttemptError(error, { model, attempt, type, retry })` sees every failed
+// attempt.
+export function resilientProvider(adapter, {
+  models = [adapter.model],
+  connectTimeoutMs = 20 * 1000,
+  idleTimeoutMs = 30 * 1000,
+  maxRetries = 2,
+  backoffMs = 500,
+  breaker = {},
+  onAttemptError = null,
+} = {}) {
+  const circuit = new CircuitBreaker(breaker);
+
+  return {
+    ...adapter,
+    models,
+    circuit,
+    configured: () => adapter.available(),
+    available: () => adapter.available() && circuit.allowsRequests(),
+    async *stream(params) {
+      const { signal, onUsage } = params;
+      if (!circuit.startCall()) {
+        throw new CircuitOpenError(`${adapter.name} is unavailable until its circuit closes`);
+      }
+      const trial = circuit.trialInFlight;
+      let lastError = null;
+
+      try {
+        for (const model of models) {
+          for (let attempt = 0; attempt <= maxRetries; attempt++) {
+            if (signal?.aborted) return;
+
+            const controller = new AbortController();
+            const forwardAbort = () => controller.abort(signal.reason);
+            signal?.addEventListener('abort', forwardAbort, { once: true });
+
+            let started = false;
+            try {
+              const iterator = adapter.stream({
+                ...params,
+                model,
+                signal: controller.signal,
+                onUsage: onUsage && ((usage) => onUsage({ ...usage, model })),
+              })[Symbol.asyncIterator]();
+
+              while (true) {
+                const { value, done } = await nextWithin(
+                  iterator,
+                  started ? idleTimeoutMs : connectTimeoutMs,
+                  controller,
+                  started ? 'chunk' : 'first chunk'
+                );
+                if (done) break;
+                started = true;
+                yield value;
+              }
+              circuit.success();
+              return;
+            } catch (e) {
+              if (signal?.aborted) throw e;
+
+              const type = errorType(e);
+              // Bad requests are our fault, not a sign the provider is down
+              if (type !== 'bad_request') circuit.failure();
+              lastError = e;
+
+              const retry = !started && attempt < maxRetries && RETRYABLE.has(type) && circuit.allowsRequests();
+              onAttemptError?.(e, { model, attempt, type, retry });
+              if (started) throw e;
+              if (!retry) break;
+              await sleep(backoffMs * 2 ** attempt * (1 + Math.random() / 2), signal);
+            } finally {
+              signal?.removeEventListener('abort', forwardAbort);
+            }
+          }
+
+          if (!circuit.allowsRequests()) break;
+        }
+
+        throw lastError;
+      } finally {
+        if (trial) circuit.endTrial();
+      }
+    },
+  };
+}
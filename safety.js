@@ -0,0 +1,180 @@
+// Safety classification for debate prompts.
+//
+// A classifier is { name, classify(text, { onUsage }) } resolving to
+// { level, categories, language }: `level` is 'crisis' when self-harm is
+// involved, 'serious' for any other sensitive category and 'none' otherwise;
+// `language` is the language of the matched terms, when known. The rule-based
+// classifier works offline; the LLM-backed one asks a provider and keeps the
+// rule matches as a floor, so it can add categories but never drop one.
+import { errorField, logJson } from './log.js';
+
+export const CATEGORIES = ['medical', 'legal', 'financial', 'self_harm'];
+
+// Terms per category and language. A trailing `*` matches any word ending
+// (Turkish and German suffixes); everything else matches whole words only.
+const RULES = {
+  self_harm: {
+    en: ['suicid*', 'kill myself', 'end my life', 'want to die', 'self harm*', 'self-harm*', 'hurt myself', 'cutting myself', 'no reason to live', 'better off dead'],
+    tr: ['intihar*', 'kendimi öldür*', 'ölmek istiyorum', 'yaşamak istemiyorum', 'canıma kıy*', 'kendime zarar*'],
+    de: ['selbstmord*', 'suizid*', 'mich umbringen', 'nicht mehr leben', 'mir das leben nehmen'],
+    es: ['suicid*', 'quitarme la vida', 'quiero morir', 'matarme', 'hacerme daño'],
+    fr: ['suicid*', 'me tuer', 'envie de mourir', 'en finir avec la vie', 'me faire du mal'],
+  },
+  medical: {
+    en: ['cancer*', 'tumor*', 'tumour*', 'heart attack', 'stroke', 'chest pain', 'diagnos*', 'symptom*', 'medication*', 'prescription*', 'overdose*', 'depression', 'pregnan*', 'emergency room', 'disease*', 'illness*'],
+    tr: ['kanser*', 'tümör*', 'kalp krizi', 'inme', 'göğüs ağrı*', 'teşhis*', 'belirti*', 'ilaç*', 'reçete*', 'depresyon*', 'hamile*', 'hastalı*', 'hastalığ*', 'acil servis*'],
+    de: ['krebs*', 'tumor*', 'herzinfarkt*', 'schlaganfall*', 'diagnose*', 'symptom*', 'medikament*', 'depression*', 'schwanger*', 'krankheit*'],
+    es: ['cáncer', 'tumor*', 'infarto', 'diagnóstico*', 'síntoma*', 'medicamento*', 'depresión', 'embarazada', 'enfermedad*'],
+    fr: ['cancer*', 'tumeur*', 'crise cardiaque', 'diagnostic*', 'symptôme*', 'médicament*', 'dépression', 'enceinte', 'maladie*'],
+  },
+  legal: {
+    en: ['lawsuit*', 'sue', 'sued', 'suing', 'court', 'lawyer*', 'attorney*', 'divorce*', 'custody', 'arrested', 'criminal charge*'],
+    tr: ['dava*', 'mahkeme*', 'avukat*', 'boşan*', 'velayet*', 'tutukla*', 'hukuk*'],
+    de: ['klage*', 'gericht*', 'anwalt*', 'anwältin*', 'scheidung*', 'sorgerecht*', 'verhaftet'],
+    es: ['demanda*', 'tribunal*', 'abogad*', 'divorcio*', 'custodia', 'detenido'],
+    fr: ['procès', 'tribunal*', 'avocat*', 'divorce*', "garde d'enfant*", 'arrêté'],
+  },
+  financial: {
+    en: ['bankrupt*', 'debt*', 'foreclos*', 'eviction*', 'evicted', 'repossess*', 'loan default*'],
+    tr: ['iflas*', 'borç*', 'borc*', 'icra*', 'haciz*'],
+    de: ['insolvenz*', 'schulden*', 'pfändung*', 'zwangsräumung*', 'privatinsolvenz*'],
+    es: ['bancarrota', 'quiebra', 'deuda*', 'desahucio*', 'embargo*'],
+    fr: ['faillite*', 'dette*', 'surendettement', 'expulsion*', 'saisie*'],
+  },
+};
+
+function termPattern(term) {
+  const stem = term.endsWith('*');
+  const body = (stem ? term.slice(0, -1) : term)
+    .replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+    .replace(/\s+/g, '\\s+');
+  return `(?<![\\p{L}\\p{N}])${body}${stem ? '[\\p{L}\\p{N}]*' : '(?![\\p{L}\\p{N}])'}`;
+}
+
+// Lowercases the way Turkish text needs (İ -> i, I stays I only in Turkish,
+// which we cannot know up front, so dotted/dotless variants both become i)
+function normalize(text) {
+  return String(text || '')
+    .replace(/İ/g, 'i')
+    .toLowerCase()
+    .replace(/i̇/g, 'i')
+    .replace(/ı/g, 'i');
+}
+
+function levelFor(categories) {
+  if (categories.includes('self_harm')) return 'crisis';
+  return categories.length ? 'serious' : 'none';
+}
+
+export function createRuleClassifier(rules = RULES) {
+  const compiled = Object.entries(rules).flatMap(([category, languages]) =>
+    Object.entries(languages).map(([language, terms]) => ({
+      category,
+      language,
+      pattern: new RegExp(terms.map((t) => termPattern(normalize(t))).join('|'), 'u'),
+    }))
+  );
+
+  return {
+    name: 'rules',
+    async classify(text) {
+      const normalized = normalize(text);
+      const hits = compiled.filter(({ pattern }) => pattern.test(normalized));
+      const categories = CATEGORIES.filter((c) => hits.some((h) => h.category === c));
+      // The language of the most severe match decides which helplines to show,
+      // unless the terms are shared (e.g. "suicid*") and it stays ambiguous
+      const lead = hits.filter((h) => h.category === (categories.includes('self_harm') ? 'self_harm' : categories[0]));
+      return { level: levelFor(categories), categories, language: lead.length === 1 ? lead[0].language : null };
+    },
+  };
+}
+
+const LLM_PROMPT = `You are a safety classifier. Decide which of these categories the user message below touches: ${CATEGORIES.join(', ')}.
+self_harm means the writer may be at risk of suicide or self-harm; mentioning the topic in a clearly unrelated or academic way does not count.
+Reply with JSON only, no prose: {"categories": [...], "language": "<ISO 639-1 code of the message>"}
+
+Message:
+`;
+
+// Classifies with a provider adapter (any registered provider). Falls back to
+// the rule classifier when the call fails or the reply is not valid JSON.
+// `onUsage` gets the call's token counts, as with any provider stream.
+export function createLlmClassifier(provider, { rules = createRuleClassifier(), timeoutMs = 5000 } = {}) {
+  return {
+    name: `llm:${provider.name}`,
+    provider,
+    async classify(text, { onUsage } = {}) {
+      const floor = await rules.classify(text);
+      const signal = AbortSignal.timeout(timeoutMs);
+
+      let reply = '';
+      try {
+        for await (const chunk of provider.stream({ prompt: LLM_PROMPT + text, language: 'English', round: 1, signal, onUsage })) {
+          reply += chunk;
+        }
+        const parsed = JSON.parse(reply.match(/\{[\s\S]*\}/)?.[0] || '');
+        const categories = CATEGORIES.filter((c) => floor.categories.includes(c) || parsed.categories?.includes(c));
+        return {
+          level: levelFor(categories),
+          categories,
+          language: floor.language || (typeof parsed.language === 'string' ? parsed.language.toLowerCase() : null),
+        };
+      } catch (e) {
+        logJson('warn', 'safety_classifier_failed', { provider: provider.name, using: 'rules', error: errorField(e) });
+        return floor;
+      }
+    },
+  };
+}
+
+// Crisis lines by language; `en` is the fallback
+const HELPLINES = {
+  en: {
+    text: 'If you are thinking about ending your life, please reach out now. In the US call or text 988 (Suicide & Crisis Lifeline); in the UK and Ireland call Samaritans on 116 123; elsewhere find a local line at findahelpline.com. In an emergency call your local emergency number.',
+    resources: [
+      { name: '988 Suicide & Crisis Lifeline (US)', phone: '988', url: 'https://988lifeline.org' },
+      { name: 'Samaritans (UK & ROI)', phone: '116 123', url: 'https://www.samaritans.org' },
+      { name: 'Find a Helpline', url: 'https://findahelpline.com' },
+    ],
+  },
+  tr: {
+    text: 'Kendine zarar vermeyi düşünüyorsan lütfen hemen destek al. Acil durumda 112 Acil Çağrı Merkezi\'ni ara. Bulunduğun ülkedeki destek hatlarını findahelpline.com adresinde bulabilirsin.',
+    resources: [
+      { name: '112 Acil Çağrı Merkezi', phone: '112' },
+      { name: 'Find a Helpline', url: 'https://findahelpline.com' },
+    ],
+  },
+  de: {
+    text: 'Wenn du daran denkst, dir das Leben zu nehmen, hol dir bitte jetzt Hilfe. Die TelefonSeelsorge ist rund um die Uhr kostenlos erreichbar: 0800 111 0 111 oder 0800 111 0 222. Im Notfall wähle 112.',
+    resources: [
+      { name: 'TelefonSeelsorge', phone: '0800 111 0 111', url: 'https://www.telefonseelsorge.de' },
+      { name: 'Notruf', phone: '112' },
+    ],
+  },
+  es: {
+    text: 'Si estás pensando en quitarte la vida, pide ayuda ahora. En España llama al 024 (Línea de atención a la conducta suicida), gratuita y disponible 24 horas. En una emergencia llama al 112.',
+    resources: [
+      { name: 'Línea 024 (España)', phone: '024' },
+      { name: 'Find a Helpline', url: 'https://findahelpline.com' },
+    ],
+  },
+  fr: {
+    text: 'Si vous pensez à mettre fin à vos jours, demandez de l\'aide maintenant. En France, appelez le 3114 (numéro national de prévention du suicide), gratuit et disponible 24h/24. En cas d\'urgence, appelez le 112.',
+    resources: [
+      { name: '3114 (France)', phone: '3114', url: 'https://3114.fr' },
+      { name: 'Find a Helpline', url: 'https://findahelpline.com' },
+    ],
+  },
+};
+
+const LANGUAGE_CODES = { english: 'en', turkish: 'tr', türkçe: 'tr', german: 'de', deutsch: 'de', spanish: 'es', español: 'es', french: 'fr', français: 'fr' };
+
+// Helpline info for a language code or name (e.g. 'tr', 'Turkish')
+export function helplineFor(...languages) {
+  for (const language of languages) {
+    const key = String(language || '').toLowerCase();
+    const code = LANGUAGE_CODES[key] || key.slice(0, 2);
+    if (HELPLINES[code]) return { language: code, ...HELPLINES[code] };
+  }
+  return { language: 'en', ...HELPLINES.en };
+}
@@ -3,9 +3,43 @@ import express from 'express';
 import cors from 'cors';
 import dotenv from 'dotenv';
 import fs from 'fs';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
 import OpenAI from 'openai';
 import Anthropic from '@anthropic-ai/sdk';
 import { GoogleGenerativeAI } from '@google/generative-ai';
+import {
+  AppStoreVerificationError,
+  fetchSignedTransaction,
+  loadRootCertificates,
+  verifySignedPayload,
+  verifyTransaction,
+} from './appstore.js';
+import { openStore } from './storage.js';
+import { createMockProvider, loadMockScript } from './mock.js';
+import * as metrics from './metrics.js';
+import { errorField, logJson } from './log.js';
+import { resilientProvider, errorType } from './resilience.js';
+import { createRuleClassifier, createLlmClassifier, helplineFor } from './safety.js';
+import { DEFAULT_LOCALE, localeFor, resolveLocale, t } from './i18n.js';
+import { VERDICT_SCHEMA, parseVerdict } from './verdict.js';
+import { PERSONA_LIMITS, personaInstruction, validatePersona } from './personas.js';
+import { EXPORT_FORMATS, escapeHtml, toHtml, toMarkdown, transcriptDocument } from './transcript.js';
+import { cacheKey, compactEvents, normalizePrompt, replayEvents } from './cache.js';
+import { ConcurrencyLimiter, TokenBuckets, parseLimit } from './ratelimit.js';
+import { DEFAULT_CONTEXT_WINDOWS, TokenCounter, clipText, contextWindow, fitContext } from './context.js';
+import { ATTACHMENT_BODY_LIMIT, anthropicBlock, attachmentRecord, geminiPart, attachmentTokens, nativeAttachment, openAIPart, parseAttachments } from './attachments.js';
+import { FEEDBACK_CATEGORIES, FEEDBACK_LIMITS, FEEDBACK_STATUSES, validateFeedback, validateTriage } from './feedback.js';
+import {
+  DEFAULT_FORMAT,
+  findFormat,
+  clampRounds,
+  roleFor,
+  roundInstruction,
+  moderatorInstruction,
+  reachedConsensus,
+  listFormats,
+} from './formats.js';
 
 // Load env
 dotenv.config();
@@ -14,7 +48,7 @@ dotenv.config();
 const requiredEnv = ['OPENAI_API_KEY', 'ANTHROPIC_API_KEY', 'GOOGLE_AI_API_KEY'];
 const missing = requiredEnv.filter((k) => !process.env[k]);
 if (missing.length) {
-  console.warn(`[warn] Missing env vars: ${missing.join(', ')}. Some providers will be disabled.`);
+  logJson('warn', 'env_missing', { vars: missing, effect: 'Some providers will be disabled' });
 }
 
 // Constants per spec
@@ -36,8 +70,194 @@ const genAI = process.env.GOOGLE_AI_API_KEY
   : null;
 
 const app = express();
+// Proxies whose X-Forwarded-For is believed when working out req.ip, which
+// the per-IP limits and the admin login lockout key on. TRUST_PROXY is a hop
+// count or a comma-separated list of proxy addresses/subnets; the default is
+// Railway's single proxy on Railway and none elsewhere.
+function trustProxy(value = process.env.RAILWAY_ENVIRONMENT ? '1' : '0') {
+  const spec = value.trim();
+  if (/^\d+$/.test(spec)) return Number(spec);
+  return spec.split(',').map((v) => v.trim()).filter(Boolean);
+}
+app.set('trust proxy', trustProxy(process.env.TRUST_PROXY));
+
+// A JSON object from an environment variable; an invalid one is logged under
+// `tag` and ignored
+function parseJsonEnv(name, tag) {
+  const value = process.env[name];
+  if (!value) return {};
+  try {
+    return JSON.parse(value);
+  } catch (e) {
+    logJson('error', 'env_invalid', { component: tag, name, error: errorField(e) });
+    return {};
+  }
+}
+
+// Request ids and access logs
+// Every request gets an id (the caller's X-Request-Id when it is sane) that
+// is echoed in the response header and the SSE meta event. One JSON line is
+// logged when the response closes, and HTTP metrics are recorded.
+app.use((req, res, next) => {
+  const incoming = req.get('x-request-id');
+  req.id = incoming && /^[\w.:-]{1,64}$/.test(incoming) ? incoming : crypto.randomUUID();
+  res.setHeader('X-Request-Id', req.id);
+
+  const startedAt = Date.now();
+  res.on('close', () => {
+    const durationMs = Date.now() - startedAt;
+    const route = req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched';
+    metrics.httpRequests.inc({ method: req.method, route, status: res.statusCode });
+    metrics.httpDuration.observe({ method: req.method, route }, durationMs / 1000);
+    // Scrapes every few seconds would drown everything else
+    if (route === '/metrics') return;
+
+    logJson(res.statusCode >= 500 ? 'error' : 'info', 'request', {
+      requestId: req.id,
+      method: req.method,
+      path: req.path,
+      route,
+      status: res.statusCode,
+      durationMs,
+      ip: req.ip,
+      deviceId: req.device?.deviceId,
+      aborted: !res.writableFinished,
+    });
+  });
+  next();
+});
+
 app.use(cors());
-app.use(express.json({ limit: '1mb' }));
+
+// Debate questions may carry base64 attachments (see attachments.js). Their
+// routes parse large bodies only after the device token and rate limits are
+// checked (see attachmentBody); calls without a token get the small limit.
+const ATTACHMENT_ROUTES = /^\/api\/(chat|sessions\/[^/]+\/follow-up)\/?$/;
+const jsonBody = express.json({ limit: '1mb' });
+const attachmentJsonBody = express.json({ limit: ATTACHMENT_BODY_LIMIT });
+app.use((req, res, next) => {
+  const deferred = req.method === 'POST' && ATTACHMENT_ROUTES.test(req.path) && req.headers.authorization?.startsWith('Bearer ');
+  if (deferred) return next();
+  jsonBody(req, res, next);
+});
+
+// Locale for user-facing text (see i18n.js): the `language` field of the body
+// or query, else Accept-Language, else DEFAULT_LOCALE
+const FALLBACK_LOCALE = localeFor(process.env.DEFAULT_LOCALE) || DEFAULT_LOCALE;
+
+function setLocale(req, res) {
+  req.locale = resolveLocale({
+    language: req.body?.language ?? req.query.language,
+    acceptLanguage: req.get('accept-language'),
+    fallback: FALLBACK_LOCALE,
+  });
+  req.t = (key, vars) => t(req.locale, key, vars);
+  res.setHeader('Content-Language', req.locale);
+}
+
+app.use((req, res, next) => {
+  setLocale(req, res);
+  next();
+});
+
+// Bodies over the limit never reach the locale middleware above
+function bodyTooLarge(err, req, res, next) {
+  if (err.type !== 'entity.too.large') return next(err);
+  const locale = resolveLocale({ acceptLanguage: req.get('accept-language'), fallback: FALLBACK_LOCALE });
+  res.status(413).json({ error: t(locale, 'errors.bodyTooLarge', { mb: Math.round(err.limit / (1024 * 1024)) }) });
+}
+app.use(bodyTooLarge);
+
+// Parses a debate body deferred by the JSON middleware above, once the route
+// has authenticated and rate-limited the caller. The body may name the
+// locale, so it is resolved again.
+function attachmentBody(req, res, next) {
+  if (req._body) return next();
+  attachmentJsonBody(req, res, (err) => {
+    if (err) return bodyTooLarge(err, req, res, next);
+    setLocale(req, res);
+    next();
+  });
+}
+
+// Rate limits
+// Token buckets per client (IP, or device on authenticated routes), written
+// "<requests>/<period>" with s, min, h or day periods ("30/min", "100/15min").
+// RATE_LIMITS overrides them with a JSON object, e.g.
+// {"feedback":"3/h","api":"off"}. Limited requests get 429 and Retry-After.
+const DEFAULT_RATE_LIMITS = {
+  api: '300/min', // every /api request, per IP
+  register: '30/h', // /api/device/register calls, per IP
+  new_devices: '10/day', // devices created, per IP (each gets free rounds)
+  device_token: '20/h', // device secret -> token exchanges, per IP
+  debates: '10/min', // debates and follow-ups started, per device
+  feedback: '5/h', // per IP
+  share: '120/min', // public share pages, per IP
+};
+const SSE_MAX_PER_DEVICE = Number(process.env.SSE_MAX_PER_DEVICE) || 3;
+const SSE_MAX_PER_IP = Number(process.env.SSE_MAX_PER_IP) || 20;
+const SSE_RETRY_AFTER_MS = 5 * 1000;
+
+// name -> TokenBuckets, or null when the limit is off
+const rateLimits = Object.fromEntries(
+  Object.entries({ ...DEFAULT_RATE_LIMITS, ...parseJsonEnv('RATE_LIMITS', 'ratelimit') }).flatMap(([name, spec]) => {
+    if (!(name in DEFAULT_RATE_LIMITS)) {
+      logJson('warn', 'rate_limit_unknown', { name });
+      return [];
+    }
+    try {
+      const limit = parseLimit(spec);
+      return [[name, limit && new TokenBuckets(limit)]];
+    } catch (e) {
+      logJson('error', 'rate_limit_invalid', { name, error: errorField(e), using: DEFAULT_RATE_LIMITS[name] });
+      return [[name, new TokenBuckets(parseLimit(DEFAULT_RATE_LIMITS[name]))]];
+    }
+  })
+);
+
+const byIp = (req) => req.ip;
+const byDevice = (req) => req.device.deviceId;
+
+function tooManyRequests(req, res, limit, retryAfterMs, message = 'errors.rateLimited') {
+  const retryAfter = Math.max(1, Math.ceil(retryAfterMs / 1000));
+  metrics.rateLimitRejections.inc({ limit });
+  res.setHeader('Retry-After', retryAfter);
+  res.status(429).json({ error: req.t(message, { seconds: retryAfter }), limit, retryAfter });
+}
+
+// Takes one token from the client's `name` bucket, or refuses the request
+function rateLimit(name, keyOf = byIp) {
+  return (req, res, next) => {
+    const buckets = rateLimits[name];
+    if (!buckets) return next();
+
+    const { allowed, retryAfterMs } = buckets.take(keyOf(req));
+    if (allowed) return next();
+    tooManyRequests(req, res, name, retryAfterMs);
+  };
+}
+
+// Open debate streams (SSE) per device and per IP. The slot is held until
+// the response closes.
+const sseByDevice = new ConcurrencyLimiter(SSE_MAX_PER_DEVICE);
+const sseByIp = new ConcurrencyLimiter(SSE_MAX_PER_IP);
+
+function sseSlot(req, res, next) {
+  const releaseDevice = sseByDevice.acquire(req.device.deviceId);
+  const releaseIp = releaseDevice && sseByIp.acquire(req.ip);
+  if (!releaseIp) {
+    releaseDevice?.();
+    return tooManyRequests(req, res, 'sse_connections', SSE_RETRY_AFTER_MS, 'errors.tooManyStreams');
+  }
+
+  res.on('close', () => {
+    releaseDevice();
+    releaseIp();
+  });
+  next();
+}
+
+app.use('/api', rateLimit('api'));
 
 // Simple in-memory stats
 const stats = {
@@ -50,42 +270,306 @@ const stats = {
 // Device and subscription tracking
 // Railway Volume: RAILWAY_VOLUME_MOUNT_PATH is automatically set to /app/data
 const DATA_DIR = process.env.RAILWAY_VOLUME_MOUNT_PATH || './data';
-const DEVICES_FILE = `${DATA_DIR}/devices.json`;
-const FEEDBACKS_FILE = `${DATA_DIR}/feedbacks.json`;
 const FREE_ROUNDS_LIMIT = 30;
 const PREMIUM_MONTHLY_ROUNDS = 1000;
 const PREMIUM_HOURLY_LIMIT = 50;
 
+// App Store verification
+// Root certs: Apple Root CA - G3 from https://www.apple.com/certificateauthority/
+const csv = (value) => String(value || '').split(',').map((v) => v.trim()).filter(Boolean);
+const APPLE_ROOT_CERTS = loadRootCertificates(csv(process.env.APPLE_ROOT_CERT_PATHS || './certs/AppleRootCA-G3.cer'));
+const appStoreConfig = {
+  bundleId: process.env.APPLE_BUNDLE_ID,
+  productIds: csv(process.env.APPLE_PRODUCT_IDS),
+  environments: csv(process.env.APPLE_ENVIRONMENTS || 'Production,Sandbox'),
+  issuerId: process.env.APPLE_ISSUER_ID,
+  keyId: process.env.APPLE_KEY_ID,
+  privateKey: process.env.APPLE_PRIVATE_KEY?.replace(/\\n/g, '\n'),
+};
+
+if (!APPLE_ROOT_CERTS.length || !appStoreConfig.bundleId) {
+  logJson('warn', 'subscription_verification_disabled', { reason: 'APPLE_ROOT_CERT_PATHS / APPLE_BUNDLE_ID not set' });
+}
+
 // Ensure data directory exists
 if (!fs.existsSync(DATA_DIR)) {
   fs.mkdirSync(DATA_DIR, { recursive: true });
-  console.log(`📁 Created data directory: ${DATA_DIR}`);
+  logJson('info', 'data_dir_created', { dataDir: DATA_DIR });
 }
 
-function loadDevices() {
+// Storage: devices, feedback, quota ledger, sessions and App Store
+// notifications live in one append-only store (see storage.js)
+function readLegacyJson(file, fallback) {
+  const filePath = `${DATA_DIR}/${file}`;
+  if (!fs.existsSync(filePath)) return fallback;
   try {
-    if (fs.existsSync(DEVICES_FILE)) {
-      return JSON.parse(fs.readFileSync(DEVICES_FILE, 'utf8'));
-    }
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
   } catch (e) {
-    console.error('[devices] Load error:', e);
+    logJson('error', 'storage_import_failed', { file, error: errorField(e) });
+    return fallback;
   }
-  return {};
 }
 
-function saveDevices(devices) {
-  try {
-    fs.writeFileSync(DEVICES_FILE, JSON.stringify(devices, null, 2));
-  } catch (e) {
-    console.error('[devices] Save error:', e);
+const migrations = [
+  // v1: one-time import of the JSON files the server kept before the store.
+  // The files are left in place as a backup and are never read again.
+  (db) => {
+    const devices = Object.values(readLegacyJson('devices.json', {}));
+    for (const device of devices) db.put('devices', device.deviceId, device);
+
+    const feedbacks = readLegacyJson('feedbacks.json', []);
+    feedbacks.forEach((feedback, i) => db.put('feedbacks', feedback.id ?? `legacy-${i}`, feedback));
+
+    const sessions = Object.values(readLegacyJson('sessions.json', {}));
+    for (const session of sessions) db.put('sessions', session.id, session);
+
+    const notifications = readLegacyJson('appstore-notifications.json', []);
+    for (const notification of notifications) db.put('notifications', crypto.randomUUID(), notification);
+
+    logJson('info', 'storage_imported', {
+      devices: devices.length,
+      feedbacks: feedbacks.length,
+      sessions: sessions.length,
+      notifications: notifications.length,
+    });
+  },
+  // v2: feedback triage. Ids become strings (they were Date.now() numbers),
+  // the legacy `feedback` text moves to `message` and every item gets a
+  // status, notes and replies.
+  (db) => {
+    const entries = db.entries('feedbacks');
+    for (const [id, feedback] of entries) {
+      db.put('feedbacks', id, {
+        ...feedback,
+        id,
+        message: feedback.message ?? feedback.feedback ?? '',
+        category: feedback.category ?? null,
+        status: feedback.status ?? 'new',
+        notes: feedback.notes ?? '',
+        replies: feedback.replies ?? [],
+      });
+    }
+    logJson('info', 'feedback_migrated', { feedbacks: entries.length });
+  },
+];
+
+const db = await openStore({
+  dir: DATA_DIR,
+  collections: {
+    devices: { indexes: ['originalTransactionId'] },
+    feedbacks: { indexes: ['deviceId', 'status'] },
+    ledger: { indexes: ['deviceId'] },
+    sessions: { indexes: ['deviceId', 'status'] },
+    notifications: { indexes: ['deviceId', 'notificationUUID'] },
+    adminSessions: {},
+    settings: {},
+    usage: {},
+    personas: { indexes: ['deviceId'] },
+    shares: { indexes: ['sessionId', 'deviceId'] },
+    debateCache: {},
+  },
+  migrations,
+});
+
+function getDevice(deviceId) {
+  return db.get('devices', deviceId);
+}
+
+function saveDevice(device) {
+  db.put('devices', device.deviceId, device);
+}
+
+// Quota ledger: one entry per change to a device's round balance
+function recordLedger(device, kind, rounds, tier = device.isPremium ? 'premium' : 'free') {
+  const id = crypto.randomUUID();
+  db.put('ledger', id, {
+    id,
+    deviceId: device.deviceId,
+    kind, // 'consume' | 'refund' | 'refill' | 'revoke'
+    tier,
+    rounds,
+    balance: tier === 'premium' ? device.monthlyRoundsRemaining : device.freeRoundsRemaining,
+    at: new Date().toISOString(),
+  });
+
+  if (kind === 'consume') metrics.roundsConsumed.inc({ tier }, -rounds);
+  if (kind === 'refund') metrics.roundsRefunded.inc({ tier }, rounds);
+}
+
+// Saves the device together with its ledger entry in one atomic write
+function saveDeviceWithLedger(device, kind, rounds, tier) {
+  db.transaction(() => {
+    saveDevice(device);
+    recordLedger(device, kind, rounds, tier);
+  });
+}
+
+function saveSession(session) {
+  db.put('sessions', session.id, session);
+}
+
+// A restart mid-debate leaves sessions marked running that nothing will finish
+for (const session of db.find('sessions', 'status', 'running')) {
+  session.status = 'interrupted';
+  for (const turn of session.turns) {
+    if (turn.status === 'running') turn.status = 'interrupted';
+  }
+  saveSession(session);
+}
+
+function sessionSummary(session) {
+  const lastTurn = session.turns[session.turns.length - 1];
+  return {
+    id: session.id,
+    prompt: session.prompt,
+    format: session.turns[0]?.format || DEFAULT_FORMAT,
+    status: session.status,
+    createdAt: session.createdAt,
+    updatedAt: session.updatedAt,
+    turns: session.turns.length,
+    lastPrompt: lastTurn?.prompt || session.prompt,
+  };
+}
+
+// Admin auth
+// Scripts send `Authorization: Bearer $ADMIN_TOKEN`; the dashboard logs in
+// with ADMIN_PASSWORD and gets an HttpOnly session cookie. With neither
+// set, every admin route answers 503.
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN;
+const ADMIN_PASSWORD = process.env.ADMIN_PASSWORD;
+const ADMIN_COOKIE = 'agora_admin';
+const ADMIN_SESSION_TTL_MS = 12 * 60 * 60 * 1000;
+const ADMIN_LOGIN_MAX_FAILURES = 5;
+const ADMIN_LOGIN_LOCKOUT_MS = 15 * 60 * 1000;
+const adminLoginFailures = new Map(); // ip -> { count, until }
+
+if (!ADMIN_TOKEN && !ADMIN_PASSWORD) {
+  logJson('warn', 'admin_disabled', { reason: 'ADMIN_TOKEN / ADMIN_PASSWORD not set' });
+}
+
+const sha256 = (value) => crypto.createHash('sha256').update(String(value)).digest();
+
+function safeEqual(a, b) {
+  return crypto.timingSafeEqual(sha256(a), sha256(b));
+}
+
+function parseCookies(header = '') {
+  return Object.fromEntries(
+    header
+      .split(';')
+      .map((part) => part.trim().split('='))
+      .filter(([name, value]) => name && value !== undefined)
+      .map(([name, value]) => [name, decodeURIComponent(value)])
+  );
+}
+
+// Session ids are only stored hashed, so a leaked data volume holds no live cookies
+function adminSession(req) {
+  const token = parseCookies(req.headers.cookie)[ADMIN_COOKIE];
+  if (!token) return null;
+  const id = sha256(token).toString('hex');
+  const session = db.get('adminSessions', id);
+  if (!session) return null;
+  if (new Date(session.expiresAt) <= new Date()) {
+    db.delete('adminSessions', id);
+    return null;
+  }
+  return { id, ...session };
+}
+
+function isAdmin(req) {
+  const auth = req.headers.authorization || '';
+  if (ADMIN_TOKEN && auth.startsWith('Bearer ') && safeEqual(auth.slice(7), ADMIN_TOKEN)) return true;
+  return Boolean(adminSession(req));
+}
+
+function requireAdmin(req, res, next) {
+  if (!ADMIN_TOKEN && !ADMIN_PASSWORD) {
+    return res.status(503).json({ error: 'Admin access not configured' });
+  }
+  if (!isAdmin(req)) {
+    return res.status(401).json({ error: 'Admin authentication required' });
   }
+  next();
+}
+
+function adminCookie(value, maxAgeMs) {
+  const secure = process.env.NODE_ENV === 'production' ? '; Secure' : '';
+  return `${ADMIN_COOKIE}=${encodeURIComponent(value)}; Path=/; HttpOnly; SameSite=Strict; Max-Age=${Math.floor(maxAgeMs / 1000)}${secure}`;
 }
 
-let devicesDB = loadDevices();
+app.post('/api/admin/login', (req, res) => {
+  if (!ADMIN_PASSWORD) {
+    return res.status(503).json({ error: 'Password login not configured' });
+  }
+
+  const ip = req.ip;
+  const failures = adminLoginFailures.get(ip);
+  if (failures && failures.until > Date.now()) {
+    metrics.rateLimitRejections.inc({ limit: 'admin_login' });
+    res.setHeader('Retry-After', Math.ceil((failures.until - Date.now()) / 1000));
+    return res.status(429).json({ error: 'Too many failed logins, try again later' });
+  }
+
+  const { password } = req.body || {};
+  if (typeof password !== 'string' || !safeEqual(password, ADMIN_PASSWORD)) {
+    const count = (failures?.count || 0) + 1;
+    adminLoginFailures.set(ip, {
+      count,
+      until: count >= ADMIN_LOGIN_MAX_FAILURES ? Date.now() + ADMIN_LOGIN_LOCKOUT_MS : 0,
+    });
+    logJson('warn', 'admin_login_failed', { ip, failures: count });
+    return res.status(401).json({ error: 'Invalid password' });
+  }
+
+  adminLoginFailures.delete(ip);
+  const token = crypto.randomBytes(32).toString('base64url');
+  const now = new Date();
+  db.put('adminSessions', sha256(token).toString('hex'), {
+    createdAt: now.toISOString(),
+    expiresAt: new Date(now.getTime() + ADMIN_SESSION_TTL_MS).toISOString(),
+    ip,
+  });
+  logJson('info', 'admin_login', { ip });
+
+  res.setHeader('Set-Cookie', adminCookie(token, ADMIN_SESSION_TTL_MS));
+  res.json({ ok: true });
+});
+
+app.post('/api/admin/logout', (req, res) => {
+  const session = adminSession(req);
+  if (session) db.delete('adminSessions', session.id);
+  res.setHeader('Set-Cookie', adminCookie('', 0));
+  res.json({ ok: true });
+});
+
+app.get('/api/admin/me', requireAdmin, (_req, res) => {
+  res.json({ ok: true });
+});
+
+app.get('/admin', (_req, res) => {
+  res.sendFile(fileURLToPath(new URL('./admin.html', import.meta.url)));
+});
 
 // Health check endpoints
+// Reports `degraded` while a configured provider's circuit is not closed
 app.get('/health', (_req, res) => {
-  res.json({ status: 'ok', time: new Date().toISOString() });
+  const providers = [...providerRegistry.values()].map(providerState);
+  const degraded = providers.some((p) => p.configured && p.circuit.state !== 'closed');
+  res.json({ status: degraded ? 'degraded' : 'ok', time: new Date().toISOString(), providers });
+});
+
+// Prometheus scrape endpoint. With METRICS_TOKEN set, scrapers must send it
+// as a bearer token.
+const METRICS_TOKEN = process.env.METRICS_TOKEN || '';
+
+app.get('/metrics', async (req, res) => {
+  if (METRICS_TOKEN && !safeEqual(req.get('authorization') || '', `Bearer ${METRICS_TOKEN}`)) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  res.setHeader('Content-Type', metrics.registry.contentType);
+  res.send(await metrics.registry.metrics());
 });
 
 app.get('/', (_req, res) => {
@@ -97,165 +581,354 @@ app.get('/', (_req, res) => {
   });
 });
 
-app.get('/api/stats', (_req, res) => {
+app.get('/api/providers', (_req, res) => {
+  const providers = [...providerRegistry.values()].map(providerState);
+  res.json({ providers });
+});
+
+app.get('/api/formats', (req, res) => {
+  res.json({ formats: listFormats(req.locale), default: DEFAULT_FORMAT });
+});
+
+app.get('/api/stats', requireAdmin, (_req, res) => {
   res.json({ ...stats });
 });
 
-app.get('/api/feedbacks', (_req, res) => {
+app.get('/api/feedbacks', requireAdmin, (_req, res) => {
   try {
-    if (fs.existsSync(FEEDBACKS_FILE)) {
-      const feedbacks = JSON.parse(fs.readFileSync(FEEDBACKS_FILE, 'utf8'));
-      res.json({ feedbacks, count: feedbacks.length });
-    } else {
-      res.json({ feedbacks: [], count: 0 });
-    }
+    const feedbacks = db.all('feedbacks');
+    res.json({ feedbacks, count: feedbacks.length });
   } catch (e) {
     res.status(500).json({ error: 'Could not read feedbacks' });
   }
 });
 
-app.get('/api/feedbacks/summary', (_req, res) => {
+app.get('/api/feedbacks/summary', requireAdmin, (req, res) => {
   try {
-    if (!fs.existsSync(FEEDBACKS_FILE)) {
-      return res.json({ feedbacks: [], count: 0 });
-    }
-    const feedbacks = JSON.parse(fs.readFileSync(FEEDBACKS_FILE, 'utf8'));
-    const summary = feedbacks.map(({ message, time, userId }) => ({
-      time,
+    const feedbacks = db.all('feedbacks');
+    const summary = feedbacks.map(({ message, timestamp, userId }) => ({
+      timestamp,
       message,
       userId,
     }));
     res.json({ feedbacks: summary, count: summary.length });
   } catch (e) {
-    console.error('[feedback summary] error:', e);
+    logJson('error', 'feedback_summary_failed', { requestId: req.id, error: errorField(e, { stack: true }) });
     res.status(500).json({ error: 'Could not read feedbacks' });
   }
 });
 
-app.get('/feedbacks', (_req, res) => {
+const FEEDBACK_PAGE_STYLE = 'body{font-family:-apple-system,BlinkMacSystemFont,"Segoe UI",sans-serif;background:#f5f5f7;margin:0;padding:24px;color:#1c1c1e}h1{font-size:28px;margin-bottom:16px}p{margin-bottom:16px;color:#636366}table{width:100%;border-collapse:separate;border-spacing:0;background:#fff;border-radius:16px;overflow:hidden;box-shadow:0 8px 24px rgba(0,0,0,0.08)}th,td{padding:14px 16px;text-align:left;border-bottom:1px solid rgba(0,0,0,0.08)}th{background:#f2f2f7;font-size:13px;text-transform:uppercase;letter-spacing:.03em;color:#636366}tbody tr:last-child td{border-bottom:none}td.message{white-space:pre-wrap}form.filters{display:flex;flex-wrap:wrap;gap:8px;margin-bottom:16px}form.filters input,form.filters select,form.filters button{font:inherit;padding:8px 12px;border:1px solid rgba(0,0,0,0.12);border-radius:10px;background:#fff}.badge{display:inline-block;padding:2px 8px;border-radius:8px;background:#f2f2f7;font-size:13px}.muted{color:#8e8e93;font-size:13px}.pager{display:flex;gap:16px;align-items:center;margin-top:16px;color:#636366}.pager a{color:#007aff;text-decoration:none}';
+
+// Feedback matching the admin filters (`q`, `status`, `category`), newest first
+function filterFeedbacks({ q, status, category } = {}) {
+  return db.all('feedbacks')
+    .filter((f) => matchesQuery(f, q, ['message', 'feedback', 'userId', 'userName', 'userEmail', 'deviceId', 'sessionId']))
+    .filter((f) => !status || f.status === status)
+    .filter((f) => !category || f.category === category)
+    .reverse();
+}
+
+app.get('/feedbacks', requireAdmin, (req, res) => {
   try {
-    if (!fs.existsSync(FEEDBACKS_FILE)) {
-      return res.send(`<!DOCTYPE html>
-<html lang="en"><head><meta charset="utf-8"><meta name="viewport" content="width=device-width,initial-scale=1"><title>Feedbacks</title><style>body{font-family:-apple-system,BlinkMacSystemFont,"Segoe UI",sans-serif;background:#f5f5f7;margin:0;padding:24px;color:#1c1c1e}h1{font-size:24px;margin-bottom:16px}table{width:100%;border-collapse:separate;border-spacing:0;background:#fff;border-radius:16px;overflow:hidden;box-shadow:0 8px 24px rgba(0,0,0,0.08)}th,td{padding:14px 16px;text-align:left;border-bottom:1px solid rgba(0,0,0,0.08)}th{background:#f2f2f7;font-size:13px;text-transform:uppercase;letter-spacing:.03em;color:#636366}tbody tr:last-child td{border-bottom:none}td.message{white-space:pre-wrap}</style></head><body><h1>Feedbacks</h1><p>Henüz gönderi yok.</p></body></html>`);
+    const title = req.t('feedbackPage.title');
+    const page = (body) => `<!DOCTYPE html>
+<html lang="${req.locale}"><head><meta charset="utf-8"><meta name="viewport" content="width=device-width,initial-scale=1"><title>${title}</title><style>${FEEDBACK_PAGE_STYLE}</style></head><body><h1>${title}</h1>${body}</body></html>`;
+
+    const q = String(req.query.q || '');
+    const status = String(req.query.status || '');
+    const category = String(req.query.category || '');
+    const result = paginate(filterFeedbacks({ q, status, category }), req.query);
+
+    const option = (value, label, selected) => `<option value="${value}"${value === selected ? ' selected' : ''}>${escapeHtml(label)}</option>`;
+    const filters = `<form class="filters" method="get">`
+      + `<input name="q" value="${escapeHtml(q)}" placeholder="${escapeHtml(req.t('feedbackPage.search'))}">`
+      + `<select name="status">${option('', req.t('feedbackPage.allStatuses'), status)}${FEEDBACK_STATUSES.map((s) => option(s, req.t(`feedbackPage.statuses.${s}`), status)).join('')}</select>`
+      + `<select name="category">${option('', req.t('feedbackPage.allCategories'), category)}${FEEDBACK_CATEGORIES.map((c) => option(c, req.t(`feedbackPage.categories.${c}`), category)).join('')}</select>`
+      + `<button type="submit">${escapeHtml(req.t('feedbackPage.filter'))}</button></form>`;
+
+    res.setHeader('Content-Type', 'text/html; charset=utf-8');
+    if (!result.total) {
+      return res.send(page(`${filters}<p>${req.t(q || status || category ? 'feedbackPage.noMatches' : 'feedbackPage.empty')}</p>`));
     }
 
-    const feedbacks = JSON.parse(fs.readFileSync(FEEDBACKS_FILE, 'utf8'));
-    const rows = feedbacks
-      .slice()
-      .reverse()
-      .map(({ time, message, userId }) => {
-        const date = new Date(time).toLocaleString('tr-TR', {
+    const rows = result.items
+      .map(({ timestamp, time, message, category: itemCategory, status: itemStatus, sessionId, replies = [], userId }) => {
+        const date = new Date(timestamp || time).toLocaleString(req.locale, {
           dateStyle: 'medium',
           timeStyle: 'short',
         });
-        const safeMessage = String(message || '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
-        const safeUser = String(userId || 'unknown').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
-        return `<tr><td>${date}</td><td class="message">${safeMessage}</td><td>${safeUser}</td></tr>`;
+        const categoryLabel = itemCategory ? req.t(`feedbackPage.categories.${itemCategory}`) : req.t('feedbackPage.uncategorized');
+        const details = [
+          sessionId && `${req.t('feedbackPage.debate')}: ${escapeHtml(sessionId)}`,
+          replies.length && req.t('feedbackPage.replies', { count: replies.length }),
+        ].filter(Boolean).map((line) => `<br><span class="muted">${line}</span>`).join('');
+        return `<tr><td>${date}</td><td><span class="badge">${escapeHtml(categoryLabel)}</span></td><td>${escapeHtml(req.t(`feedbackPage.statuses.${itemStatus}`))}</td><td class="message">${escapeHtml(message)}${details}</td><td>${escapeHtml(userId || 'unknown')}</td></tr>`;
       })
       .join('');
 
-    const html = `<!DOCTYPE html>
-<html lang="en"><head><meta charset="utf-8"><meta name="viewport" content="width=device-width,initial-scale=1"><title>Feedbacks</title><style>body{font-family:-apple-system,BlinkMacSystemFont,"Segoe UI",sans-serif;background:#f5f5f7;margin:0;padding:24px;color:#1c1c1e}h1{font-size:28px;margin-bottom:16px}p{margin-bottom:16px;color:#636366}table{width:100%;border-collapse:separate;border-spacing:0;background:#fff;border-radius:16px;overflow:hidden;box-shadow:0 8px 24px rgba(0,0,0,0.08)}th,td{padding:14px 16px;text-align:left;border-bottom:1px solid rgba(0,0,0,0.08)}th{background:#f2f2f7;font-size:13px;text-transform:uppercase;letter-spacing:.03em;color:#636366}tbody tr:last-child td{border-bottom:none}td.message{white-space:pre-wrap}</style></head><body><h1>Feedbacks</h1><p>Toplam ${feedbacks.length} kayıt</p><table><thead><tr><th>Zaman</th><th>Mesaj</th><th>Kullanıcı</th></tr></thead><tbody>${rows}</tbody></table></body></html>`;
+    const link = (n, label) => `<a href="?${escapeHtml(new URLSearchParams({ q, status, category, page: n }).toString())}">${escapeHtml(label)}</a>`;
+    const pager = result.pages > 1
+      ? `<div class="pager">${result.page > 1 ? link(result.page - 1, req.t('feedbackPage.previous')) : ''}<span>${req.t('feedbackPage.pageOf', { page: result.page, pages: result.pages })}</span>${result.page < result.pages ? link(result.page + 1, req.t('feedbackPage.next')) : ''}</div>`
+      : '';
 
-    res.setHeader('Content-Type', 'text/html; charset=utf-8');
-    res.send(html);
+    res.send(page(`${filters}<p>${req.t('feedbackPage.total', { count: result.total })}</p><table><thead><tr><th>${req.t('feedbackPage.time')}</th><th>${req.t('feedbackPage.category')}</th><th>${req.t('feedbackPage.status')}</th><th>${req.t('feedbackPage.message')}</th><th>${req.t('feedbackPage.user')}</th></tr></thead><tbody>${rows}</tbody></table>${pager}`));
   } catch (e) {
-    console.error('[feedback view] error:', e);
-    res.status(500).send('Feedbacks could not be loaded.');
+    logJson('error', 'feedback_page_failed', { requestId: req.id, error: errorField(e, { stack: true }) });
+    res.status(500).send(req.t('feedbackPage.loadFailed'));
   }
 });
 
-app.post('/api/feedback', (req, res) => {
+// Feedback from the app. Sent with a device token it is linked to the
+// device, which can then read replies at GET /api/device/feedbacks, and it
+// may name one of the device's debates in `sessionId`.
+app.post('/api/feedback', rateLimit('feedback'), optionalDevice, (req, res) => {
+  const { feedback, error, vars } = validateFeedback(req.body);
+  if (error) {
+    return res.status(400).json({ error: req.t(`errors.${error}`, vars) });
+  }
+
+  if (feedback.sessionId) {
+    if (!req.device) {
+      return res.status(401).json({ error: req.t('errors.deviceTokenRequired'), needsToken: true });
+    }
+    const session = db.get('sessions', feedback.sessionId);
+    // Sessions without an owner (stored before devices were tracked) are
+    // nobody's to refer to
+    if (!session?.deviceId) {
+      return res.status(404).json({ error: req.t('errors.sessionNotFound') });
+    }
+    if (session.deviceId !== req.device.deviceId) {
+      return res.status(403).json({ error: req.t('errors.sessionOtherDevice') });
+    }
+  }
+
   stats.feedbacks += 1;
-  console.log('[feedback]', JSON.stringify(req.body));
-  
-  // Save to file with user info
-  const feedback = {
-    ...req.body,
-    timestamp: new Date().toISOString(),
-    id: Date.now(),
-    // Kullanıcı bilgilerini ekle
-    userId: req.body.userId || 'unknown',
-    userName: req.body.userName || 'Anonymous',
-    userEmail: req.body.userEmail || '',
-    deviceInfo: req.body.deviceInfo || {}
+  const now = new Date().toISOString();
+  const record = {
+    id: crypto.randomUUID(),
+    ...feedback,
+    ...(req.device && { deviceId: req.device.deviceId }),
+    userId: feedback.userId || 'unknown',
+    userName: feedback.userName || 'Anonymous',
+    userEmail: feedback.userEmail || '',
+    status: 'new',
+    notes: '',
+    replies: [],
+    timestamp: now,
+    updatedAt: now,
   };
-  
+  db.put('feedbacks', record.id, record);
+  logJson('info', 'feedback_received', { feedbackId: record.id, category: record.category, deviceId: record.deviceId });
+
+  res.json({ ok: true, id: record.id, status: record.status });
+});
+
+// Device auth
+// Registration hands out a device secret (kept by the app, stored here only
+// hashed) and a signed token: base64url({ d: deviceId, t: tokenId, exp }) plus
+// an HMAC over it. Requests send `Authorization: Bearer <token>`. Changing the
+// device's tokenId (rotation, admin revoke) invalidates every older token; the
+// secret gets a new one from POST /api/device/token.
+//
+// DEVICE_AUTH_MODE=legacy lets devices that never received a secret keep
+// calling with a bare deviceId while old app builds are phased out.
+const DEVICE_AUTH_MODE = process.env.DEVICE_AUTH_MODE === 'legacy' ? 'legacy' : 'required';
+const DEVICE_TOKEN_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+const DEVICE_TOKEN_KEY = process.env.DEVICE_TOKEN_SECRET
+  || db.get('settings', 'deviceTokenKey')?.value
+  || db.put('settings', 'deviceTokenKey', { value: crypto.randomBytes(32).toString('base64url') }).value;
+
+function hmac(value) {
+  return crypto.createHmac('sha256', DEVICE_TOKEN_KEY).update(value).digest('base64url');
+}
+
+function signDeviceToken(device) {
+  const payload = Buffer.from(JSON.stringify({
+    d: device.deviceId,
+    t: device.tokenId,
+    exp: Date.now() + DEVICE_TOKEN_TTL_MS,
+  })).toString('base64url');
+  return `${payload}.${hmac(payload)}`;
+}
+
+// Gives the device a fresh tokenId (revoking older tokens) and returns a token for it
+function issueDeviceToken(device) {
+  device.tokenId = crypto.randomUUID();
+  device.tokenIssuedAt = new Date().toISOString();
+  return signDeviceToken(device);
+}
+
+function deviceFromToken(token) {
+  const [payload, signature] = String(token).split('.');
+  if (!payload || !signature || !safeEqual(signature, hmac(payload))) return null;
+
+  let claims;
   try {
-    let feedbacks = [];
-    if (fs.existsSync(FEEDBACKS_FILE)) {
-      feedbacks = JSON.parse(fs.readFileSync(FEEDBACKS_FILE, 'utf8'));
-    }
-    feedbacks.push(feedback);
-    fs.writeFileSync(FEEDBACKS_FILE, JSON.stringify(feedbacks, null, 2));
-    
-    console.log(`✅ Feedback kaydedildi: ${feedback.userName} - ${feedback.message?.substring(0, 50)}...`);
+    claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
   } catch (e) {
-    console.error('[feedback] File write error:', e);
+    return null;
   }
-  
-  res.json({ ok: true });
-});
+  if (!claims.exp || claims.exp < Date.now()) return null;
+
+  const device = getDevice(claims.d);
+  if (!device || !device.tokenId || device.tokenId !== claims.t) return null;
+  return device;
+}
+
+// Sets req.device from the bearer token. A deviceId in the path or body must
+// match the token's device.
+function requireDevice(req, res, next) {
+  const auth = req.headers.authorization || '';
+  const claimedId = req.params.deviceId || req.body?.deviceId;
+  let device = null;
+
+  if (auth.startsWith('Bearer ')) {
+    device = deviceFromToken(auth.slice(7));
+    if (!device) {
+      return res.status(401).json({ error: req.t('errors.invalidDeviceToken'), needsToken: true });
+    }
+    if (claimedId && claimedId !== device.deviceId) {
+      return res.status(403).json({ error: req.t('errors.tokenDeviceMismatch') });
+    }
+  } else if (DEVICE_AUTH_MODE === 'legacy' && typeof claimedId === 'string' && claimedId) {
+    device = getDevice(claimedId);
+    if (!device) {
+      return res.status(403).json({ error: req.t('errors.deviceNotRegistered'), needsRegistration: true });
+    }
+    if (device.secretHash) {
+      return res.status(401).json({ error: req.t('errors.deviceTokenRequired'), needsToken: true });
+    }
+  } else {
+    return res.status(401).json({ error: req.t('errors.deviceTokenRequired'), needsToken: true });
+  }
+
+  req.device = device;
+  next();
+}
+
+// requireDevice without the DEVICE_AUTH_MODE=legacy fallback, for routes that
+// hand out credentials: a bare deviceId proves nothing about the caller
+function requireDeviceToken(req, res, next) {
+  if (!req.headers.authorization?.startsWith('Bearer ')) {
+    return res.status(401).json({ error: req.t('errors.deviceTokenRequired'), needsToken: true });
+  }
+  requireDevice(req, res, next);
+}
+
+// requireDevice for routes that also take anonymous calls: a request that
+// sends an Authorization header must still carry a valid token
+function optionalDevice(req, res, next) {
+  if (!req.headers.authorization) return next();
+  requireDevice(req, res, next);
+}
+
+// Device record as sent to clients, without credentials
+function publicDevice(device) {
+  const { secretHash, tokenId, ...rest } = device;
+  return rest;
+}
 
 // Device registration and rounds tracking
-app.post('/api/device/register', (req, res) => {
+// A new device (or one registered before tokens existed) receives its
+// credentials once. Registering an already-claimed device needs its token.
+app.post('/api/device/register', rateLimit('register'), (req, res) => {
   const { deviceId } = req.body;
   
   if (!deviceId || typeof deviceId !== 'string') {
-    return res.status(400).json({ error: 'Missing deviceId' });
+    return res.status(400).json({ error: req.t('errors.missingDeviceId') });
   }
   
-  // Check if device already exists
-  if (!devicesDB[deviceId]) {
-    devicesDB[deviceId] = {
-      deviceId,
-      registeredAt: new Date().toISOString(),
-      freeRoundsRemaining: FREE_ROUNDS_LIMIT,
-      totalRoundsUsed: 0,
-      isPremium: false,
-      lastAccessedAt: new Date().toISOString(),
-      // Premium tracking
-      monthlyRoundsRemaining: 0,
-      monthlyResetDate: null,
-      subscriptionStartDate: null,
-      // Hourly abuse prevention
-      hourlyRoundsUsed: 0,
-      hourlyResetTime: new Date().toISOString()
-    };
-    saveDevices(devicesDB);
-    console.log(`📱 New device registered: ${deviceId}`);
-  } else {
-    devicesDB[deviceId].lastAccessedAt = new Date().toISOString();
-    saveDevices(devicesDB);
+  // An existing device needs its token. Devices from before tokens have none
+  // and are never handed a secret: anyone who knows their id could claim it.
+  // They keep calling with a bare deviceId under DEVICE_AUTH_MODE=legacy.
+  const existing = getDevice(deviceId);
+  if (existing) {
+    return requireDeviceToken(req, res, () => {
+      existing.lastAccessedAt = new Date().toISOString();
+      saveDevice(existing);
+      res.json({ ok: true, device: publicDevice(existing) });
+    });
+  }
+  
+  // Every new device comes with free rounds, so one IP may only create a few
+  const created = rateLimits.new_devices?.take(req.ip);
+  if (created && !created.allowed) {
+    return tooManyRequests(req, res, 'new_devices', created.retryAfterMs);
   }
+
+  const device = {
+    deviceId,
+    registeredAt: new Date().toISOString(),
+    freeRoundsRemaining: FREE_ROUNDS_LIMIT,
+    totalRoundsUsed: 0,
+    isPremium: false,
+    lastAccessedAt: new Date().toISOString(),
+    // Premium tracking
+    monthlyRoundsRemaining: 0,
+    monthlyResetDate: null,
+    subscriptionStartDate: null,
+    // Hourly abuse prevention
+    hourlyRoundsUsed: 0,
+    hourlyResetTime: new Date().toISOString()
+  };
+  logJson('info', 'device_registered', { deviceId });
+  
+  const deviceSecret = crypto.randomBytes(32).toString('base64url');
+  device.secretHash = sha256(deviceSecret).toString('hex');
+  const deviceToken = issueDeviceToken(device);
+  saveDevice(device);
   
   res.json({
     ok: true,
-    device: devicesDB[deviceId]
+    device: publicDevice(device),
+    deviceToken,
+    deviceSecret
   });
 });
 
-// Get device status
-app.get('/api/device/status/:deviceId', (req, res) => {
-  const { deviceId } = req.params;
+// New token from the device secret, e.g. after expiry or an admin revoke
+app.post('/api/device/token', rateLimit('device_token'), (req, res) => {
+  const { deviceId, deviceSecret } = req.body || {};
+  const device = typeof deviceId === 'string' ? getDevice(deviceId) : null;
   
-  if (!deviceId) {
-    return res.status(400).json({ error: 'Missing deviceId' });
+  if (!device?.secretHash || typeof deviceSecret !== 'string'
+    || !safeEqual(sha256(deviceSecret).toString('hex'), device.secretHash)) {
+    return res.status(401).json({ error: req.t('errors.invalidDeviceCredentials') });
   }
   
-  const device = devicesDB[deviceId];
-  
-  if (!device) {
-    return res.json({
-      exists: false,
-      freeRoundsRemaining: FREE_ROUNDS_LIMIT,
-      isPremium: false
-    });
-  }
+  const deviceToken = issueDeviceToken(device);
+  saveDevice(device);
+  res.json({ ok: true, deviceToken });
+});
+
+// Swap the current token for a new one; the old token stops working
+app.post('/api/device/token/rotate', requireDeviceToken, (req, res) => {
+  const deviceToken = issueDeviceToken(req.device);
+  saveDevice(req.device);
+  res.json({ ok: true, deviceToken });
+});
+
+// Get device status
+// Unknown devices get the default free-tier answer without needing a token
+function unknownDeviceStatus(req, res, next) {
+  if (req.headers.authorization || getDevice(req.params.deviceId)) return next();
+  res.json({
+    exists: false,
+    freeRoundsRemaining: FREE_ROUNDS_LIMIT,
+    isPremium: false
+  });
+}
+
+app.get('/api/device/status/:deviceId', unknownDeviceStatus, requireDevice, (req, res) => {
+  const { device } = req;
+  const { deviceId } = device;
   
   // Initialize missing fields for backward compatibility
   if (!device.monthlyRoundsRemaining) device.monthlyRoundsRemaining = 0;
   
+  checkSubscriptionExpiry(device);
+  
   // Check if monthly reset is needed
   if (device.isPremium && device.monthlyResetDate) {
     const now = new Date();
@@ -266,8 +939,8 @@ app.get('/api/device/status/:deviceId', (req, res) => {
       const nextMonth = new Date(now);
       nextMonth.setMonth(nextMonth.getMonth() + 1);
       device.monthlyResetDate = nextMonth.toISOString();
-      saveDevices(devicesDB);
-      console.log(`🔄 Monthly rounds reset for device: ${deviceId}`);
+      saveDeviceWithLedger(device, 'refill', PREMIUM_MONTHLY_ROUNDS, 'premium');
+      logJson('info', 'monthly_rounds_reset', { deviceId });
     }
   }
   
@@ -277,34 +950,25 @@ app.get('/api/device/status/:deviceId', (req, res) => {
     isPremium: device.isPremium,
     totalRoundsUsed: device.totalRoundsUsed,
     monthlyRoundsRemaining: device.monthlyRoundsRemaining || 0,
-    monthlyResetDate: device.monthlyResetDate
+    monthlyResetDate: device.monthlyResetDate,
+    subscriptionExpiresAt: device.subscriptionExpiresAt || null,
+    subscriptionStatus: device.subscriptionStatus || null
   });
 });
 
-// Consume rounds
-app.post('/api/device/consume-rounds', (req, res) => {
-  const { deviceId, roundsCount } = req.body;
-  
-  if (!deviceId || typeof deviceId !== 'string') {
-    return res.status(400).json({ error: 'Missing deviceId' });
-  }
-  
-  if (!roundsCount || typeof roundsCount !== 'number' || roundsCount < 1 || roundsCount > 3) {
-    return res.status(400).json({ error: 'Invalid roundsCount (must be 1-3)' });
-  }
-  
-  // Device must be registered first
-  if (!devicesDB[deviceId]) {
-    return res.status(403).json({ error: 'Device not registered', needsRegistration: true });
-  }
-  
-  const device = devicesDB[deviceId];
-  const now = new Date();
+// Round quota
+// reserveRounds checks the hourly, monthly and free limits and, when allowed,
+// takes `roundsCount` rounds off the device. It returns the body the device
+// endpoints send back: `allowed: false` plus the reason when refused, with the
+// message in `locale`.
+function reserveRounds(device, roundsCount, now = new Date(), locale = FALLBACK_LOCALE) {
+  const { deviceId } = device;
   
   // Initialize missing fields for backward compatibility
   if (!device.hourlyRoundsUsed) device.hourlyRoundsUsed = 0;
   if (!device.hourlyResetTime) device.hourlyResetTime = new Date(now.getTime() + 60 * 60 * 1000).toISOString();
   if (!device.monthlyRoundsRemaining) device.monthlyRoundsRemaining = 0;
+  checkSubscriptionExpiry(device, now);
   
   // Check hourly limit (abuse prevention for all users)
   const hourlyResetTime = new Date(device.hourlyResetTime);
@@ -316,15 +980,16 @@ app.post('/api/device/consume-rounds', (req, res) => {
   
   // Check if hourly limit exceeded
   if (device.hourlyRoundsUsed + roundsCount > PREMIUM_HOURLY_LIMIT) {
+    metrics.rateLimitRejections.inc({ limit: 'hourly_rounds' });
     const minutesUntilReset = Math.ceil((new Date(device.hourlyResetTime) - now) / 60000);
-    return res.json({
+    return {
       ok: true,
       allowed: false,
       rateLimited: true,
-      message: `Saatlik limit aşıldı. ${minutesUntilReset} dakika sonra tekrar deneyin.`,
+      message: t(locale, 'quota.hourlyLimit', { minutes: minutesUntilReset }),
       resetTime: device.hourlyResetTime,
       isPremium: device.isPremium
-    });
+    };
   }
   
   // Premium users - check monthly rounds
@@ -336,6 +1001,7 @@ app.post('/api/device/consume-rounds', (req, res) => {
       nextMonth.setMonth(nextMonth.getMonth() + 1);
       device.monthlyResetDate = nextMonth.toISOString();
       device.subscriptionStartDate = device.subscriptionStartDate || now.toISOString();
+      saveDeviceWithLedger(device, 'refill', PREMIUM_MONTHLY_ROUNDS, 'premium');
     }
     
     // Check if monthly reset is needed
@@ -345,21 +1011,22 @@ app.post('/api/device/consume-rounds', (req, res) => {
       const newNextMonth = new Date(now);
       newNextMonth.setMonth(newNextMonth.getMonth() + 1);
       device.monthlyResetDate = newNextMonth.toISOString();
-      console.log(`🔄 Monthly rounds reset for device: ${deviceId}`);
+      saveDeviceWithLedger(device, 'refill', PREMIUM_MONTHLY_ROUNDS, 'premium');
+      logJson('info', 'monthly_rounds_reset', { deviceId });
     }
     
     // Check monthly limit
     if (device.monthlyRoundsRemaining < roundsCount) {
       const daysUntilReset = Math.ceil((new Date(device.monthlyResetDate) - now) / (1000 * 60 * 60 * 24));
-      return res.json({
+      return {
         ok: true,
         allowed: false,
         monthlyLimitReached: true,
-        message: `Aylık limit aşıldı (${PREMIUM_MONTHLY_ROUNDS} tur/ay). ${daysUntilReset} gün sonra sıfırlanacak.`,
+        message: t(locale, 'quota.monthlyLimit', { limit: PREMIUM_MONTHLY_ROUNDS, days: daysUntilReset }),
         monthlyRoundsRemaining: device.monthlyRoundsRemaining,
         monthlyResetDate: device.monthlyResetDate,
         isPremium: true
-      });
+      };
     }
     
     // Consume premium rounds
@@ -367,29 +1034,29 @@ app.post('/api/device/consume-rounds', (req, res) => {
     device.totalRoundsUsed += roundsCount;
     device.hourlyRoundsUsed += roundsCount;
     device.lastAccessedAt = now.toISOString();
-    saveDevices(devicesDB);
+    saveDeviceWithLedger(device, 'consume', -roundsCount, 'premium');
     
-    console.log(`💎 Premium device ${deviceId} consumed ${roundsCount} rounds. Monthly remaining: ${device.monthlyRoundsRemaining}`);
+    logJson('info', 'rounds_consumed', { deviceId, tier: 'premium', rounds: roundsCount, remaining: device.monthlyRoundsRemaining });
     
-    return res.json({
+    return {
       ok: true,
       allowed: true,
       isPremium: true,
       monthlyRoundsRemaining: device.monthlyRoundsRemaining,
       monthlyResetDate: device.monthlyResetDate,
       totalRoundsUsed: device.totalRoundsUsed
-    });
+    };
   }
   
   // Free users - check free rounds
   if (device.freeRoundsRemaining < roundsCount) {
-    return res.json({
+    return {
       ok: true,
       allowed: false,
       needsSubscription: true,
       freeRoundsRemaining: device.freeRoundsRemaining,
       isPremium: false
-    });
+    };
   }
   
   // Consume free rounds
@@ -397,67 +1064,610 @@ app.post('/api/device/consume-rounds', (req, res) => {
   device.totalRoundsUsed += roundsCount;
   device.hourlyRoundsUsed += roundsCount;
   device.lastAccessedAt = now.toISOString();
-  saveDevices(devicesDB);
+  saveDeviceWithLedger(device, 'consume', -roundsCount, 'free');
   
-  console.log(`🎯 Free device ${deviceId} consumed ${roundsCount} rounds. Remaining: ${device.freeRoundsRemaining}`);
+  logJson('info', 'rounds_consumed', { deviceId, tier: 'free', rounds: roundsCount, remaining: device.freeRoundsRemaining });
   
-  res.json({
+  return {
     ok: true,
     allowed: true,
     freeRoundsRemaining: device.freeRoundsRemaining,
     isPremium: false,
     totalRoundsUsed: device.totalRoundsUsed
-  });
-});
+  };
+}
 
-// Verify App Store subscription
-app.post('/api/subscription/verify', async (req, res) => {
-  const { deviceId, transactionId, receipt } = req.body;
+// Gives back rounds that were reserved but never delivered
+function refundRounds(device, roundsCount, tier) {
+  if (roundsCount <= 0) return;
   
-  if (!deviceId || typeof deviceId !== 'string') {
-    return res.status(400).json({ error: 'Missing deviceId' });
+  if (tier === 'premium') {
+    device.monthlyRoundsRemaining = Math.min(PREMIUM_MONTHLY_ROUNDS, (device.monthlyRoundsRemaining || 0) + roundsCount);
+  } else {
+    device.freeRoundsRemaining += roundsCount;
   }
+  device.totalRoundsUsed = Math.max(0, device.totalRoundsUsed - roundsCount);
+  device.hourlyRoundsUsed = Math.max(0, (device.hourlyRoundsUsed || 0) - roundsCount);
+  saveDeviceWithLedger(device, 'refund', roundsCount, tier);
   
-  // For now, we'll do basic validation
-  // In production, you would verify with App Store Server API
-  // using App Store Connect API key
-  
-  if (!transactionId && !receipt) {
-    return res.status(400).json({ error: 'Missing transaction info' });
+  logJson('info', 'rounds_refunded', { deviceId: device.deviceId, tier, rounds: roundsCount });
+}
+
+// Older app builds call /api/device/consume-rounds right before /api/chat.
+// That reservation is held briefly so the chat that follows claims it instead
+// of charging the device a second time.
+const RESERVATION_CLAIM_WINDOW_MS = 5 * 60 * 1000;
+
+// Reserves rounds for a debate, claiming a pending consume-rounds reservation
+// when there is one. Returns the quota body plus the tier that was charged.
+function chargeDebate(device, roundsCount, now = new Date(), locale = FALLBACK_LOCALE) {
+  const pending = device.pendingReservation;
+  device.pendingReservation = null;
+
+  if (pending && now - new Date(pending.at) <= RESERVATION_CLAIM_WINDOW_MS && pending.rounds >= roundsCount) {
+    refundRounds(device, pending.rounds - roundsCount, pending.tier);
+    saveDevice(device);
+    return { ...quotaBalance(device), allowed: true, tier: pending.tier, claimed: true };
   }
+
+  // A reservation too small or too old for this debate is given back before
+  // the debate is charged in full
+  if (pending) refundRounds(device, pending.rounds, pending.tier);
+
+  const result = reserveRounds(device, roundsCount, now, locale);
+  return { ...result, tier: result.isPremium ? 'premium' : 'free' };
+}
+
+function quotaBalance(device) {
+  return {
+    isPremium: device.isPremium,
+    freeRoundsRemaining: device.freeRoundsRemaining,
+    monthlyRoundsRemaining: device.monthlyRoundsRemaining || 0,
+  };
+}
+
+// Consume rounds
+app.post('/api/device/consume-rounds', requireDevice, (req, res) => {
+  const { roundsCount } = req.body;
+  const { device } = req;
   
-  // Device must be registered
-  if (!devicesDB[deviceId]) {
-    return res.status(403).json({ error: 'Device not registered' });
+  if (!roundsCount || typeof roundsCount !== 'number' || roundsCount < 1 || roundsCount > 3) {
+    return res.status(400).json({ error: req.t('errors.invalidRoundsCount') });
   }
   
-  const device = devicesDB[deviceId];
   const now = new Date();
+  const result = reserveRounds(device, roundsCount, now, req.locale);
+  if (result.allowed) {
+    device.pendingReservation = { rounds: roundsCount, tier: result.isPremium ? 'premium' : 'free', at: now.toISOString() };
+    saveDevice(device);
+  }
   
-  // Mark as premium and initialize monthly rounds
+  res.json(result);
+});
+
+// Marks a device premium from a verified transaction. The monthly allowance
+// is only (re)filled when the subscription is new to this device or renews,
+// so re-verifying an active subscription cannot top rounds up.
+// Returns true when rounds were refilled.
+function grantPremium(device, tx, now = new Date(), { renewed = false } = {}) {
+  const alreadyActive = device.isPremium && device.originalTransactionId === tx.originalTransactionId;
+
   device.isPremium = true;
-  device.subscriptionActivatedAt = now.toISOString();
-  device.subscriptionStartDate = now.toISOString();
-  device.transactionId = transactionId || 'receipt-based';
-  device.lastAccessedAt = now.toISOString();
-  
-  // Initialize monthly rounds
+  device.subscriptionStatus = 'active';
+  device.transactionId = tx.transactionId;
+  device.originalTransactionId = tx.originalTransactionId;
+  device.productId = tx.productId;
+  device.subscriptionEnvironment = tx.environment;
+  device.subscriptionExpiresAt = tx.expiresDate ? tx.expiresDate.toISOString() : null;
+
+  if (alreadyActive && !renewed) return false;
+
+  if (!alreadyActive) {
+    device.subscriptionActivatedAt = now.toISOString();
+    device.subscriptionStartDate = (tx.purchaseDate || now).toISOString();
+  }
   device.monthlyRoundsRemaining = PREMIUM_MONTHLY_ROUNDS;
   const nextMonth = new Date(now);
   nextMonth.setMonth(nextMonth.getMonth() + 1);
   device.monthlyResetDate = nextMonth.toISOString();
+  recordLedger(device, 'refill', PREMIUM_MONTHLY_ROUNDS, 'premium');
+  return true;
+}
+
+// Back to the free tier. Unused free rounds are kept; the subscription ids
+// stay on the device so a resubscribe is recognised.
+function revokePremium(device, status) {
+  const forfeited = device.isPremium ? device.monthlyRoundsRemaining || 0 : 0;
+  device.isPremium = false;
+  device.subscriptionStatus = status;
+  device.monthlyRoundsRemaining = 0;
+  device.monthlyResetDate = null;
+  recordLedger(device, 'revoke', -forfeited, 'premium');
+}
+
+// Safety net for missed notifications: a subscription past its expiry (plus a
+// day for delayed renewals) is downgraded on the next device call.
+const SUBSCRIPTION_EXPIRY_LEEWAY_MS = 24 * 60 * 60 * 1000;
+
+function checkSubscriptionExpiry(device, now = new Date()) {
+  if (!device.isPremium || !device.subscriptionExpiresAt) return false;
+  const expiresAt = new Date(device.subscriptionExpiresAt);
+  if (isNaN(expiresAt.getTime()) || now - expiresAt < SUBSCRIPTION_EXPIRY_LEEWAY_MS) return false;
+  db.transaction(() => {
+    revokePremium(device, 'expired');
+    saveDevice(device);
+  });
+  logJson('info', 'subscription_lapsed', { deviceId: device.deviceId });
+  return true;
+}
+
+// Verify App Store subscription
+// Accepts a StoreKit 2 `signedTransaction` (JWS) or a bare `transactionId`,
+// which is looked up on the App Store Server API.
+app.post('/api/subscription/verify', requireDevice, async (req, res) => {
+  const { signedTransaction, transactionId } = req.body;
+  const { device } = req;
+  const { deviceId } = device;
   
-  saveDevices(devicesDB);
-  
-  console.log(`💎 Premium activated for device: ${deviceId} - ${PREMIUM_MONTHLY_ROUNDS} rounds/month`);
+  if (!signedTransaction && !transactionId) {
+    return res.status(400).json({ error: req.t('errors.missingTransaction') });
+  }
+
+  if (!appStoreConfig.bundleId) {
+    return res.status(503).json({ error: req.t('errors.verificationNotConfigured') });
+  }
+  
+  let tx;
+  try {
+    const jws = signedTransaction || await fetchSignedTransaction(String(transactionId), appStoreConfig);
+    tx = verifyTransaction(jws, { ...appStoreConfig, rootCertificates: APPLE_ROOT_CERTS });
+  } catch (e) {
+    if (!(e instanceof AppStoreVerificationError)) {
+      logJson('error', 'appstore_lookup_failed', { requestId: req.id, deviceId, error: errorField(e, { stack: true }) });
+      return res.status(502).json({ error: req.t('errors.appStoreUnreachable') });
+    }
+    logJson('warn', 'subscription_rejected', { deviceId, code: e.code, error: errorField(e) });
+    const status = e.code === 'not_configured' ? 503 : e.code === 'upstream' ? 502 : 400;
+    return res.status(status).json({ error: e.message });
+  }
+
+  const now = new Date();
+
+  if (tx.revoked) {
+    return res.status(400).json({ error: req.t('errors.transactionRevoked') });
+  }
+  if (tx.expiresDate && tx.expiresDate <= now) {
+    return res.status(400).json({ error: req.t('errors.subscriptionExpired'), expiresDate: tx.expiresDate.toISOString() });
+  }
+
+  // One subscription, one device
+  const owner = db.find('devices', 'originalTransactionId', tx.originalTransactionId)
+    .find((d) => d.deviceId !== deviceId);
+  if (owner) {
+    logJson('warn', 'subscription_bound_elsewhere', { deviceId, originalTransactionId: tx.originalTransactionId });
+    return res.status(409).json({ error: req.t('errors.transactionBound') });
+  }
+  
+  let alreadyActive;
+  db.transaction(() => {
+    alreadyActive = !grantPremium(device, tx, now);
+    device.lastAccessedAt = now.toISOString();
+    saveDevice(device);
+  });
+  
+  logJson('info', alreadyActive ? 'premium_confirmed' : 'premium_activated', {
+    deviceId,
+    environment: tx.environment,
+    expiresAt: device.subscriptionExpiresAt,
+  });
   
   res.json({
     ok: true,
     isPremium: true,
     monthlyRoundsRemaining: device.monthlyRoundsRemaining,
     monthlyResetDate: device.monthlyResetDate,
-    message: 'Subscription verified successfully'
+    subscriptionExpiresAt: device.subscriptionExpiresAt,
+    environment: tx.environment,
+    message: req.t('subscription.verified')
+  });
+});
+
+// App Store Server Notifications v2
+// Configure this URL in App Store Connect for both production and sandbox.
+const PREMIUM_NOTIFICATIONS = ['SUBSCRIBED', 'DID_RENEW', 'OFFER_REDEEMED', 'REFUND_REVERSED'];
+const LAPSE_NOTIFICATIONS = {
+  EXPIRED: 'expired',
+  GRACE_PERIOD_EXPIRED: 'expired',
+  REFUND: 'refunded',
+  REVOKE: 'revoked',
+};
+
+function applyNotification(notification, tx, renewal, now = new Date()) {
+  const { notificationType, subtype } = notification;
+  const device = db.findOne('devices', 'originalTransactionId', tx.originalTransactionId);
+  if (!device) return { outcome: 'unmatched' };
+
+  if (PREMIUM_NOTIFICATIONS.includes(notificationType)) {
+    if (tx.revoked || (tx.expiresDate && tx.expiresDate <= now)) {
+      return { outcome: 'ignored', deviceId: device.deviceId };
+    }
+    grantPremium(device, tx, now, { renewed: notificationType === 'DID_RENEW' });
+  } else if (notificationType === 'DID_FAIL_TO_RENEW') {
+    if (subtype === 'GRACE_PERIOD' && renewal?.gracePeriodExpiresDate) {
+      // Billing retry inside the grace period keeps premium until it runs out
+      device.subscriptionStatus = 'grace_period';
+      device.subscriptionExpiresAt = new Date(renewal.gracePeriodExpiresDate).toISOString();
+    } else {
+      revokePremium(device, 'billing_retry');
+    }
+  } else if (LAPSE_NOTIFICATIONS[notificationType]) {
+    revokePremium(device, LAPSE_NOTIFICATIONS[notificationType]);
+  } else {
+    return { outcome: 'ignored', deviceId: device.deviceId };
+  }
+
+  saveDevice(device);
+  logJson('info', 'notification_applied', { deviceId: device.deviceId, notificationType, subtype, isPremium: device.isPremium });
+  return { outcome: 'applied', deviceId: device.deviceId };
+}
+
+app.post('/api/appstore/notifications', (req, res) => {
+  const { signedPayload } = req.body || {};
+  const entry = { receivedAt: new Date().toISOString() };
+
+  let notification;
+  let tx = null;
+  let renewal = null;
+  try {
+    const options = { rootCertificates: APPLE_ROOT_CERTS };
+    notification = verifySignedPayload(signedPayload, options);
+    const data = notification.data || {};
+    if (appStoreConfig.bundleId && data.bundleId !== appStoreConfig.bundleId) {
+      throw new AppStoreVerificationError(`Unexpected bundleId: ${data.bundleId}`);
+    }
+    if (data.signedTransactionInfo) {
+      tx = verifyTransaction(data.signedTransactionInfo, { ...appStoreConfig, ...options });
+    }
+    if (data.signedRenewalInfo) {
+      renewal = verifySignedPayload(data.signedRenewalInfo, options);
+    }
+  } catch (e) {
+    if (!(e instanceof AppStoreVerificationError)) throw e;
+    logJson('warn', 'notification_rejected', { error: errorField(e) });
+    db.put('notifications', crypto.randomUUID(), { ...entry, outcome: 'rejected', error: e.message });
+    return res.status(e.code === 'not_configured' ? 503 : 400).json({ error: e.message });
+  }
+
+  Object.assign(entry, {
+    notificationUUID: notification.notificationUUID,
+    notificationType: notification.notificationType,
+    subtype: notification.subtype || null,
+    environment: notification.data?.environment || null,
+    signedDate: notification.signedDate ? new Date(notification.signedDate).toISOString() : null,
+    originalTransactionId: tx?.originalTransactionId || null,
+    expiresDate: tx?.expiresDate ? tx.expiresDate.toISOString() : null,
+  });
+
+  // Apple retries until it gets a 2xx, so the same notification can arrive twice.
+  // The device update and its audit entry are written together.
+  db.transaction(() => {
+    const seen = db.find('notifications', 'notificationUUID', entry.notificationUUID)
+      .some((n) => n.outcome !== 'rejected' && n.outcome !== 'duplicate');
+    const result = seen ? { outcome: 'duplicate' }
+      : !tx ? { outcome: 'ignored' }
+      : applyNotification(notification, tx, renewal);
+    db.put('notifications', crypto.randomUUID(), { ...entry, ...result });
+  });
+
+  res.json({ ok: true });
+});
+
+app.get('/api/appstore/notifications', requireAdmin, (req, res) => {
+  const { deviceId, originalTransactionId } = req.query;
+  const limit = Math.max(1, Math.min(500, Number(req.query.limit) || 100));
+
+  const notifications = (deviceId ? db.find('notifications', 'deviceId', deviceId) : db.all('notifications'))
+    .filter((n) => !originalTransactionId || n.originalTransactionId === originalTransactionId)
+    .slice(-limit)
+    .reverse();
+
+  res.json({ notifications, count: notifications.length });
+});
+
+// Admin API
+function paginate(items, query) {
+  const pageSize = Math.max(1, Math.min(200, Number(query.pageSize) || 50));
+  const total = items.length;
+  const pages = Math.max(1, Math.ceil(total / pageSize));
+  const page = Math.max(1, Math.min(pages, Number(query.page) || 1));
+  return {
+    items: items.slice((page - 1) * pageSize, page * pageSize),
+    page,
+    pageSize,
+    total,
+    pages,
+  };
+}
+
+function matchesQuery(record, q, fields) {
+  if (!q) return true;
+  const needle = String(q).toLowerCase();
+  return fields.some((field) => String(record[field] ?? '').toLowerCase().includes(needle));
+}
+
+app.get('/api/admin/devices', requireAdmin, (req, res) => {
+  const { q, premium } = req.query;
+  const devices = db.all('devices')
+    .filter((d) => matchesQuery(d, q, ['deviceId', 'originalTransactionId', 'transactionId']))
+    .filter((d) => premium === undefined || premium === '' || String(Boolean(d.isPremium)) === premium)
+    .sort((a, b) => String(b.lastAccessedAt || '').localeCompare(String(a.lastAccessedAt || '')))
+    .map(publicDevice);
+
+  res.json(paginate(devices, req.query));
+});
+
+app.get('/api/admin/devices/:deviceId', requireAdmin, (req, res) => {
+  const device = getDevice(req.params.deviceId);
+  if (!device) {
+    return res.status(404).json({ error: 'Device not found' });
+  }
+
+  const ledger = db.find('ledger', 'deviceId', device.deviceId).slice(-100).reverse();
+  const sessions = db.find('sessions', 'deviceId', device.deviceId)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+    .slice(0, 20)
+    .map(sessionSummary);
+
+  res.json({ device: publicDevice(device), ledger, sessions });
+});
+
+// Manual premium, e.g. for support cases or testers. Not tied to a
+// transaction, so it never expires on its own.
+app.post('/api/admin/devices/:deviceId/premium', requireAdmin, (req, res) => {
+  const device = getDevice(req.params.deviceId);
+  if (!device) {
+    return res.status(404).json({ error: 'Device not found' });
+  }
+
+  const { isPremium } = req.body || {};
+  if (typeof isPremium !== 'boolean') {
+    return res.status(400).json({ error: 'isPremium must be a boolean' });
+  }
+
+  db.transaction(() => {
+    if (isPremium) {
+      const now = new Date();
+      device.isPremium = true;
+      device.subscriptionStatus = 'admin_grant';
+      device.subscriptionExpiresAt = null;
+      device.subscriptionStartDate = device.subscriptionStartDate || now.toISOString();
+      device.monthlyRoundsRemaining = PREMIUM_MONTHLY_ROUNDS;
+      const nextMonth = new Date(now);
+      nextMonth.setMonth(nextMonth.getMonth() + 1);
+      device.monthlyResetDate = nextMonth.toISOString();
+      recordLedger(device, 'refill', PREMIUM_MONTHLY_ROUNDS, 'premium');
+    } else {
+      revokePremium(device, 'admin_revoked');
+    }
+    saveDevice(device);
+  });
+  logJson('info', 'admin_premium_set', { deviceId: device.deviceId, isPremium });
+
+  res.json({ ok: true, device: publicDevice(device) });
+});
+
+app.post('/api/admin/devices/:deviceId/reset-quota', requireAdmin, (req, res) => {
+  const device = getDevice(req.params.deviceId);
+  if (!device) {
+    return res.status(404).json({ error: 'Device not found' });
+  }
+
+  db.transaction(() => {
+    device.freeRoundsRemaining = FREE_ROUNDS_LIMIT;
+    device.hourlyRoundsUsed = 0;
+    device.hourlyResetTime = new Date().toISOString();
+    recordLedger(device, 'refill', FREE_ROUNDS_LIMIT, 'free');
+    if (device.isPremium) {
+      device.monthlyRoundsRemaining = PREMIUM_MONTHLY_ROUNDS;
+      recordLedger(device, 'refill', PREMIUM_MONTHLY_ROUNDS, 'premium');
+    }
+    saveDevice(device);
+  });
+  logJson('info', 'admin_quota_reset', { deviceId: device.deviceId });
+
+  res.json({ ok: true, device: publicDevice(device) });
+});
+
+// Signs the device out: its tokens stop working and its secret is replaced
+// by one nobody holds, so a leaked secret cannot mint a new token. The app
+// has to register again under a new deviceId.
+app.post('/api/admin/devices/:deviceId/revoke-token', requireAdmin, (req, res) => {
+  const device = getDevice(req.params.deviceId);
+  if (!device) {
+    return res.status(404).json({ error: 'Device not found' });
+  }
+
+  device.tokenId = null;
+  device.secretHash = sha256(crypto.randomBytes(32)).toString('hex');
+  device.tokenRevokedAt = new Date().toISOString();
+  saveDevice(device);
+  logJson('info', 'admin_token_revoked', { deviceId: device.deviceId });
+
+  res.json({ ok: true, device: publicDevice(device) });
+});
+
+// Removes the device with its sessions, ledger, personas, share links and
+// the attachment files no other session uses
+app.delete('/api/admin/devices/:deviceId', requireAdmin, (req, res) => {
+  const device = getDevice(req.params.deviceId);
+  if (!device) {
+    return res.status(404).json({ error: 'Device not found' });
+  }
+
+  const sessions = db.find('sessions', 'deviceId', device.deviceId);
+  const ledger = db.find('ledger', 'deviceId', device.deviceId);
+  const personas = db.find('personas', 'deviceId', device.deviceId);
+  const shares = db.find('shares', 'deviceId', device.deviceId);
+  const feedbacks = db.find('feedbacks', 'deviceId', device.deviceId);
+  // Notifications are keyed by id but do not carry it
+  const notifications = db.entries('notifications').filter(([, n]) => n.deviceId === device.deviceId);
+  db.transaction(() => {
+    for (const session of sessions) db.delete('sessions', session.id);
+    for (const entry of ledger) db.delete('ledger', entry.id);
+    for (const persona of personas) db.delete('personas', persona.id);
+    for (const share of shares) db.delete('shares', share.token);
+    // Feedback stays for triage without who sent it; App Store notifications
+    // stay in the audit log, no longer linked to the device
+    for (const { deviceId, sessionId, ...item } of feedbacks) {
+      db.put('feedbacks', item.id, { ...item, userId: 'unknown', userName: 'Anonymous', userEmail: '', deviceInfo: {} });
+    }
+    for (const [id, notification] of notifications) db.put('notifications', id, { ...notification, deviceId: null });
+    db.delete('devices', device.deviceId);
+  });
+  pruneAttachments(sessions.flatMap((s) => s.turns.flatMap((turn) => turn.attachments || [])));
+  logJson('info', 'admin_device_deleted', { deviceId: device.deviceId, sessions: sessions.length });
+
+  res.json({
+    ok: true,
+    deleted: { sessions: sessions.length, ledger: ledger.length, personas: personas.length, shares: shares.length },
+    anonymized: { feedbacks: feedbacks.length, notifications: notifications.length },
+  });
+});
+
+// Daily token usage and cost between `from` and `to` (YYYY-MM-DD, UTC; the
+// last 30 days by default), with the average cost of a premium round and what
+// a premium month costs if every one of its PREMIUM_MONTHLY_ROUNDS is used
+app.get('/api/admin/usage', requireAdmin, (req, res) => {
+  const day = (date) => date.toISOString().slice(0, 10);
+  const to = req.query.to || day(new Date());
+  const from = req.query.from || day(new Date(Date.now() - 29 * 24 * 60 * 60 * 1000));
+
+  const days = db.all('usage')
+    .filter((d) => d.day >= from && d.day <= to)
+    .sort((a, b) => a.day.localeCompare(b.day));
+  const totals = days.reduce(mergeAggregate, emptyAggregate());
+
+  const premium = totals.byTier.premium;
+  const premiumCostPerRound = premium?.rounds ? roundUsd(premium.costUsd / premium.rounds) : null;
+
+  const topDevices = db.all('devices')
+    .filter((d) => d.usage?.costUsd)
+    .sort((a, b) => b.usage.costUsd - a.usage.costUsd)
+    .slice(0, 10)
+    .map((d) => ({ deviceId: d.deviceId, isPremium: d.isPremium, usage: d.usage }));
+
+  res.json({
+    from,
+    to,
+    days,
+    totals,
+    premiumCostPerRound,
+    premiumMonthCostAtLimit: premiumCostPerRound === null ? null : roundUsd(premiumCostPerRound * PREMIUM_MONTHLY_ROUNDS),
+    topDevices,
+  });
+});
+
+app.get('/api/admin/feedbacks', requireAdmin, (req, res) => {
+  res.json(paginate(filterFeedbacks(req.query), req.query));
+});
+
+// An item with a summary of the debate it concerns
+function adminFeedback(feedback) {
+  const session = feedback.sessionId ? db.get('sessions', feedback.sessionId) : null;
+  return { ...feedback, session: session ? sessionSummary(session) : null };
+}
+
+app.get('/api/admin/feedbacks/:id', requireAdmin, (req, res) => {
+  const feedback = db.get('feedbacks', req.params.id);
+  if (!feedback) {
+    return res.status(404).json({ error: 'Feedback not found' });
+  }
+
+  res.json({ feedback: adminFeedback(feedback) });
+});
+
+// Triage: any of { status, category, notes }
+app.patch('/api/admin/feedbacks/:id', requireAdmin, (req, res) => {
+  const feedback = db.get('feedbacks', req.params.id);
+  if (!feedback) {
+    return res.status(404).json({ error: 'Feedback not found' });
+  }
+
+  const { changes, error } = validateTriage(req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  const updated = { ...feedback, ...changes, updatedAt: new Date().toISOString() };
+  db.put('feedbacks', feedback.id, updated);
+  logJson('info', 'admin_feedback_updated', { feedbackId: feedback.id, fields: Object.keys(changes) });
+
+  res.json({ feedback: adminFeedback(updated) });
+});
+
+// Replies are shown to the device that sent the feedback. Replying to a new
+// item marks it triaged.
+app.post('/api/admin/feedbacks/:id/replies', requireAdmin, (req, res) => {
+  const feedback = db.get('feedbacks', req.params.id);
+  if (!feedback) {
+    return res.status(404).json({ error: 'Feedback not found' });
+  }
+
+  const message = typeof req.body?.message === 'string' ? req.body.message.trim() : '';
+  if (!message || message.length > FEEDBACK_LIMITS.reply) {
+    return res.status(400).json({ error: `message is required, at most ${FEEDBACK_LIMITS.reply} characters` });
+  }
+
+  const now = new Date().toISOString();
+  const reply = { id: crypto.randomUUID(), message, createdAt: now };
+  const updated = {
+    ...feedback,
+    replies: [...(feedback.replies || []), reply],
+    status: feedback.status === 'new' ? 'triaged' : feedback.status,
+    updatedAt: now,
+  };
+  db.put('feedbacks', feedback.id, updated);
+  logJson('info', 'admin_feedback_replied', { feedbackId: feedback.id });
+
+  // Anonymous feedback has no device to show the reply to
+  res.status(201).json({ reply, feedback: adminFeedback(updated), deviceLinked: Boolean(feedback.deviceId) });
+});
+
+// Cached debates, newest first; `q` searches the prompt
+app.get('/api/admin/cache', requireAdmin, (req, res) => {
+  const now = Date.now();
+  const entries = db.all('debateCache')
+    .filter((e) => matchesQuery(e, req.query.q, ['prompt', 'key']))
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+    .map(({ events, result, ...entry }) => ({ ...entry, events: events.length, expired: Date.parse(entry.expiresAt) <= now }));
+
+  res.json({
+    ...paginate(entries, req.query),
+    ttlMs: DEBATE_CACHE_TTL_MS,
+    maxEntries: DEBATE_CACHE_MAX_ENTRIES,
+    inFlight: debateFlights.size,
+  });
+});
+
+// Purges every cached debate, or those whose prompt matches `q`
+app.delete('/api/admin/cache', requireAdmin, (req, res) => {
+  const entries = db.all('debateCache').filter((e) => matchesQuery(e, req.query.q, ['prompt']));
+  db.transaction(() => {
+    for (const entry of entries) db.delete('debateCache', entry.key);
   });
+  logJson('info', 'admin_cache_purged', { entries: entries.length });
+
+  res.json({ ok: true, purged: entries.length });
+});
+
+app.delete('/api/admin/cache/:key', requireAdmin, (req, res) => {
+  if (!db.get('debateCache', req.params.key)) {
+    return res.status(404).json({ error: 'Cache entry not found' });
+  }
+
+  db.delete('debateCache', req.params.key);
+  logJson('info', 'admin_cache_purged', { cacheKey: req.params.key, entries: 1 });
+  res.json({ ok: true });
 });
 
 function sseHeaders(res) {
@@ -466,106 +1676,214 @@ function sseHeaders(res) {
   res.setHeader('Connection', 'keep-alive');
 }
 
-function sseSend(res, event, dataObj) {
+// Writes after the client went away are dropped
+function sseSend(res, event, dataObj, id = null) {
+  if (res.writableEnded || res.destroyed) return;
+  if (id) res.write(`id: ${id}\n`);
   res.write(`event: ${event}\n`);
   res.write(`data: ${JSON.stringify(dataObj)}\n\n`);
 }
 
-function sseDone(res) {
-  res.write('event: done\n');
-  res.write('data: {}\n\n');
-  res.end();
-}
-
-// Serious topic detection
-function detectSeriousTopic(prompt) {
-  const seriousKeywords = [
-    // Health
-    'hasta', 'hastalık', 'ağrı', 'kanser', 'kalp', 'depresyon', 'ilaç', 'doktor', 'acil',
-    'sick', 'disease', 'pain', 'cancer', 'heart', 'depression', 'medicine', 'doctor', 'emergency',
-    // Legal/Financial
-    'boşanma', 'dava', 'mahkeme', 'iflas', 'borç', 'avukat', 'hukuki',
-    'divorce', 'lawsuit', 'court', 'bankruptcy', 'debt', 'lawyer', 'legal',
-    // Crisis
-    'intihar', 'şiddet', 'yardım edin', 'kriz', 'ölüm', 'vefat',
-    'suicide', 'violence', 'help me', 'crisis', 'death', 'died'
-  ];
-  
-  const lowerPrompt = prompt.toLowerCase();
-  return seriousKeywords.some(keyword => lowerPrompt.includes(keyword));
+// Debate event streams
+// Every event of a debate turn gets an id (`<turn>:<n>`) and is kept in a
+// per-session buffer. A client that lost the connection reconnects to
+// GET /api/chat/:id/stream with Last-Event-ID, gets the events it missed and
+// then follows the debate live. A debate with no client attached is aborted
+// after RESUME_GRACE_MS; buffers are dropped RESUME_RETENTION_MS after the
+// debate ends.
+const RESUME_GRACE_MS = 30 * 1000;
+const RESUME_RETENTION_MS = 5 * 60 * 1000;
+const debateStreams = new Map();
+
+class DebateStream {
+  constructor(sessionId, turn) {
+    this.sessionId = sessionId;
+    this.turn = turn;
+    this.cancel = new AbortController();
+    this.events = [];
+    this.clients = new Set();
+    this.finished = false;
+    this.graceTimer = null;
+  }
+
+  send(event, data) {
+    const id = `${this.turn}:${this.events.length + 1}`;
+    this.events.push({ id, event, data });
+    for (const res of this.clients) sseSend(res, event, data, id);
+  }
+
+  // Replays everything after `lastEventId` (all of it when the id is from
+  // another turn or missing), then keeps the client attached while running
+  attach(res, lastEventId = null) {
+    const [turn, n] = String(lastEventId || '').split(':').map(Number);
+    const from = turn === this.turn ? n || 0 : 0;
+
+    sseHeaders(res);
+    for (const { id, event, data } of this.events.slice(from)) sseSend(res, event, data, id);
+    if (this.finished) {
+      res.end();
+      return;
+    }
+
+    clearTimeout(this.graceTimer);
+    this.clients.add(res);
+    metrics.sseConnections.inc();
+    res.on('close', () => this.detach(res));
+  }
+
+  detach(res) {
+    if (!this.clients.delete(res)) return;
+    metrics.sseConnections.dec();
+    if (this.clients.size || this.finished) return;
+    this.graceTimer = setTimeout(() => this.cancel.abort('disconnected'), RESUME_GRACE_MS);
+  }
+
+  finish() {
+    this.send('done', {});
+    for (const res of this.clients) res.end();
+    metrics.sseConnections.dec(this.clients.size);
+    this.clients.clear();
+    this.finished = true;
+    clearTimeout(this.graceTimer);
+    setTimeout(() => {
+      if (debateStreams.get(this.sessionId) === this) debateStreams.delete(this.sessionId);
+    }, RESUME_RETENTION_MS).unref();
+  }
 }
 
 // Provider streaming helpers
-async function streamOpenAI({ prompt, language, round = 1 }) {
-  if (!openai) return;
-  const roundInstruction = round === 1 
+// `structured` ({ name, schema }) asks for JSON matching a JSON Schema through
+// the provider's structured-output mode; the JSON text is streamed like prose.
+// `wordBudget` (from a persona) replaces the per-round length limit.
+// `messages` ({ role: 'user' | 'assistant', content }, alternating, starting
+// with the user) is a multi-turn conversation; without it `prompt` is sent as
+// a single user message. A message's `attachments` go before its text.
+function conversation(prompt, messages) {
+  return messages || [{ role: 'user', content: prompt }];
+}
+
+function lengthInstruction(round, wordBudget) {
+  if (wordBudget) return `Answer in at most ${wordBudget} words.`;
+  return round === 1 
     ? "Provide a short and concise answer." 
     : round === 2 
     ? "Provide a clear and fluent explanation without writing too long." 
     : "Provide comprehensive analysis. Up to 400 words allowed.";
+}
+
+async function streamOpenAI({ prompt, messages = null, language, round = 1, signal, client = openai, model = OPENAI_CHAT_MODEL, includeUsage = true, structured = null, jsonMode = 'json_schema', wordBudget = null }) {
+  if (!client) return;
+  const roundInstruction = lengthInstruction(round, wordBudget);
   
-  const stream = await openai.chat.completions.create({
-    model: OPENAI_CHAT_MODEL,
+  const stream = await client.chat.completions.create({
+    model,
     messages: [
       { role: 'system', content: `${roundInstruction} STRICT WORD LIMIT ENFORCEMENT. CRITICAL: Detect the language of the user's question and respond in the EXACT SAME LANGUAGE. Never switch languages mid-response. If the question is in Turkish, answer in Turkish. If in English, answer in English. Match the user's language perfectly.` },
-      { role: 'user', content: prompt },
+      ...conversation(prompt, messages).map((m) => (m.attachments?.length
+        ? { role: m.role, content: [...m.attachments.map(openAIPart), { type: 'text', text: m.content }] }
+        : { role: m.role, content: m.content })),
     ],
     stream: true,
-  });
+    ...(includeUsage && { stream_options: { include_usage: true } }),
+    ...(structured && {
+      response_format: jsonMode === 'json_schema'
+        ? { type: 'json_schema', json_schema: { name: structured.name, schema: structured.schema, strict: true } }
+        : { type: 'json_object' },
+    }),
+  }, { signal });
   return stream;
 }
 
-async function* chunksFromOpenAI(stream) {
+// `onUsage` gets the token usage reported so far for the call; every call
+// replaces the previous value
+async function* chunksFromOpenAI(stream, onUsage) {
   for await (const part of stream) {
+    // With include_usage the last chunk has no choices, only the totals
+    if (part.usage) onUsage?.({ inputTokens: part.usage.prompt_tokens, outputTokens: part.usage.completion_tokens });
     const delta = part.choices?.[0]?.delta?.content || '';
     if (delta) yield delta;
   }
 }
 
-async function streamAnthropic({ prompt, language, round = 1 }) {
+async function streamAnthropic({ prompt, messages = null, language, round = 1, signal, model = CLAUDE_MODEL, structured = null, wordBudget = null }) {
   if (!anthropic) return;
-  const roundInstruction = round === 1 
-    ? "Provide a short and concise answer." 
-    : round === 2 
-    ? "Provide a clear and fluent explanation without writing too long." 
-    : "Provide comprehensive analysis. Up to 400 words allowed.";
+  const roundInstruction = lengthInstruction(round, wordBudget);
     
   const stream = await anthropic.messages.stream({
-    model: CLAUDE_MODEL,
+    model,
     max_tokens: 4096,
     system: `${roundInstruction} STRICT WORD LIMIT ENFORCEMENT. CRITICAL: Detect the language of the user's question and respond in the EXACT SAME LANGUAGE. Never switch languages mid-response. If the question is in Turkish, answer in Turkish. If in English, answer in English. Match the user's language perfectly.`,
-    messages: [{ role: 'user', content: [{ type: 'text', text: prompt }] }],
-  });
+    messages: conversation(prompt, messages).map((m) => ({
+      role: m.role,
+      content: [...(m.attachments || []).map(anthropicBlock), { type: 'text', text: m.content }],
+    })),
+    // Claude's structured output is a forced tool call whose input is the JSON
+    ...(structured && {
+      tools: [{ name: structured.name, description: 'Record the result.', input_schema: structured.schema }],
+      tool_choice: { type: 'tool', name: structured.name },
+    }),
+  }, { signal });
   return stream;
 }
 
-async function* chunksFromAnthropic(stream) {
+async function* chunksFromAnthropic(stream, onUsage) {
+  let inputTokens = 0;
   for await (const event of stream) {
-    if (event.type === 'message_start' || event.type === 'message_delta') continue;
+    // Input tokens come with message_start, the running output count with message_delta
+    if (event.type === 'message_start') {
+      inputTokens = event.message?.usage?.input_tokens || 0;
+      onUsage?.({ inputTokens, outputTokens: event.message?.usage?.output_tokens || 0 });
+      continue;
+    }
+    if (event.type === 'message_delta') {
+      onUsage?.({ inputTokens, outputTokens: event.usage?.output_tokens || 0 });
+      continue;
+    }
     if (event.type === 'content_block_delta') {
-      const t = event.delta?.text;
+      const t = event.delta?.text ?? event.delta?.partial_json;
       if (t) yield t;
     }
   }
 }
 
-async function streamGemini({ prompt, language, round = 1 }) {
+// Gemini takes an OpenAPI-style subset of JSON Schema
+function geminiSchema(schema) {
+  const { additionalProperties, properties, items, ...rest } = schema;
+  return {
+    ...rest,
+    ...(properties && { properties: Object.fromEntries(Object.entries(properties).map(([k, v]) => [k, geminiSchema(v)])) }),
+    ...(items && { items: geminiSchema(items) }),
+  };
+}
+
+async function streamGemini({ prompt, messages = null, language, round = 1, signal, model: modelName = GEMINI_MODEL, structured = null, wordBudget = null }) {
   if (!genAI) return;
-  const roundInstruction = round === 1 
-    ? "Provide a short and concise answer." 
-    : round === 2 
-    ? "Provide a clear and fluent explanation without writing too long." 
-    : "Provide comprehensive analysis. Up to 400 words allowed.";
+  const roundInstruction = lengthInstruction(round, wordBudget);
     
   const systemInstruction = `${roundInstruction} STRICT WORD LIMIT ENFORCEMENT. CRITICAL: Detect the language of the user's question and respond in the EXACT SAME LANGUAGE. Never switch languages mid-response. If the question is in Turkish, answer in Turkish. If in English, answer in English. Match the user's language perfectly.`;
-  const model = genAI.getGenerativeModel({ model: GEMINI_MODEL, systemInstruction });
-  const result = await model.generateContentStream(prompt);
+  const model = genAI.getGenerativeModel({
+    model: modelName,
+    systemInstruction,
+    ...(structured && { generationConfig: { responseMimeType: 'application/json', responseSchema: geminiSchema(structured.schema) } }),
+  });
+  // Gemini calls the assistant side "model"
+  const contents = conversation(prompt, messages).map((m) => ({
+    role: m.role === 'assistant' ? 'model' : 'user',
+    parts: [...(m.attachments || []).map(geminiPart), { text: m.content }],
+  }));
+  const result = await model.generateContentStream({ contents }, { signal });
   return result;
 }
 
-async function* chunksFromGemini(stream) {
+async function* chunksFromGemini(stream, onUsage) {
   let soFar = '';
   for await (const item of stream.stream) {
+    if (item?.usageMetadata) {
+      onUsage?.({
+        inputTokens: item.usageMetadata.promptTokenCount || 0,
+        outputTokens: item.usageMetadata.candidatesTokenCount || 0,
+      });
+    }
     const t = item?.text();
     if (!t) continue;
     let delta = t;
@@ -577,139 +1895,642 @@ async function* chunksFromGemini(stream) {
   }
 }
 
-function buildRoundPrompt(basePrompt, round, allRoundResponses, currentModel = null, isSerious = false) {
-  let prompt = basePrompt;
-  
-  // Round-based instructions
-  if (round === 1) {
-    prompt += isSerious 
-      ? "\n\n[ROUND 1 INSTRUCTION]: This appears to be a serious topic. Provide direct, helpful, and empathetic responses without playful elements."
-      : "\n\n[ROUND 1 INSTRUCTION]: Provide a short and concise answer.";
-  } else if (round === 2) {
-    prompt += isSerious
-      ? "\n\n[ROUND 2 INSTRUCTION]: Reference other AIs' responses professionally. Be thorough, supportive, and provide helpful information. Provide a clear and fluent explanation without writing too long."
-      : "\n\n[ROUND 2 INSTRUCTION]: This is the second round. Reference other AIs' responses (not your own!) with brief, playful references. IGNORE YOUR OWN PREVIOUS RESPONSE - act as if you never wrote it. Only mention other AIs. Be witty and make the reader smile! Provide a clear and fluent explanation without writing too long.";
-  } else if (round === 3) {
-    prompt += isSerious
-      ? "\n\n[ROUND 3 - COMPREHENSIVE ANALYSIS]: Provide a thorough, professional analysis of other AIs' responses. Focus on practical solutions and actionable advice."
-      : "\n\n[ROUND 3 - SERIOUS ANALYSIS]: Alright, let's get serious. If you requested three rounds, you must be serious about this topic! 😏 Analyze other AIs' previous responses, start with a clever quip but then dive deep. Provide practical solutions, real data, concrete suggestions. Be both entertaining and informative - but this time deliver genuinely useful results!";
-  }
-  
-  if (round === 1) return prompt;
-  const prev = allRoundResponses
-    .filter((r) => r.round < round && r.model !== currentModel)
-    .map((r) => `- [${r.model}] ${r.text}`)
-    .join('\n');
-  return `${prompt}\n\nOther models said previously:\n${prev}\n\nBriefly comment on agreements/disagreements and, if needed, refine your answer.`;
+// Provider registry
+// Each adapter declares { name, model, attachments, available(), stream({ prompt, messages, language, round, signal, onUsage, structured, wordBudget }) }
+// where stream is an async generator of text deltas that stops the upstream
+// request when `signal` aborts and reports token usage through `onUsage`.
+// `attachments` lists what the model takes natively ('image', 'pdf'); other
+// files reach it as text. The debate loop and the
+// moderator only ever talk to adapters, so new providers just register here.
+//
+// Registered adapters are wrapped with timeouts, retries, a fallback model
+// chain and a circuit breaker (see resilience.js). The adapter's stream gets
+// the model to use as `model`.
+const providerRegistry = new Map();
+
+const PROVIDER_RESILIENCE = {
+  connectTimeoutMs: Number(process.env.PROVIDER_CONNECT_TIMEOUT_MS) || 20 * 1000,
+  idleTimeoutMs: Number(process.env.PROVIDER_IDLE_TIMEOUT_MS) || 30 * 1000,
+  maxRetries: Number(process.env.PROVIDER_MAX_RETRIES || 2),
+  backoffMs: Number(process.env.PROVIDER_RETRY_BACKOFF_MS) || 500,
+  threshold: Number(process.env.PROVIDER_BREAKER_THRESHOLD) || 5,
+  cooldownMs: Number(process.env.PROVIDER_BREAKER_COOLDOWN_MS) || 60 * 1000,
+};
+
+function registerProvider(adapter, fallbackModels = []) {
+  const { threshold, cooldownMs, ...timing } = PROVIDER_RESILIENCE;
+  const provider = resilientProvider(adapter, {
+    ...timing,
+    models: [adapter.model, ...fallbackModels.filter((m) => m !== adapter.model)],
+    breaker: {
+      threshold,
+      cooldownMs,
+      onStateChange: (state) => {
+        metrics.providerCircuitOpen.set({ provider: adapter.name }, state === 'closed' ? 0 : 1);
+        logJson('warn', 'provider_circuit', { provider: adapter.name, state });
+      },
+    },
+    onAttemptError: (e, { model, attempt, type, retry }) => {
+      metrics.providerAttemptFailures.inc({ provider: adapter.name, type, retried: String(retry) });
+      logJson('warn', 'provider_attempt_failed', { provider: adapter.name, model, attempt: attempt + 1, type, retry, error: errorField(e) });
+    },
+  });
+  providerRegistry.set(adapter.name, provider);
 }
 
-function moderatorPrompt(language, collected, rounds = 1) {
-  const lines = collected
-    .map((c) => `- [${c.model} R${c.round}] ${c.text}`)
-    .join('\n');
+function providerState(p) {
+  return {
+    name: p.name,
+    model: p.model,
+    fallbackModels: p.models.slice(1),
+    configured: p.configured(),
+    available: p.available(),
+    circuit: p.circuit.toJSON(),
+  };
+}
 
-  // Personalized intro for 3-round conversations - AI will detect language from responses
-  const personalizedIntro = rounds >= 3 
-    ? "Since you chose three rounds, you're quite serious about this topic, well then..."
-    : "";
+function findProvider(name) {
+  if (typeof name !== 'string') return null;
+  return providerRegistry.get(name)
+    || [...providerRegistry.values()].find((p) => p.name.toLowerCase() === name.toLowerCase())
+    || null;
+}
 
-  const basePrompt = `Act as a moderator. Provide a balanced, concise synthesis that highlights agreements, disagreements, and the most actionable conclusions. CRITICAL: Detect the language used in the responses below and respond in the EXACT SAME LANGUAGE. Never switch languages. Match the language perfectly.`;
-  
-  return personalizedIntro 
-    ? `${basePrompt}\n\n${personalizedIntro}\n\n${lines}`
-    : `${basePrompt}\n\n${lines}`;
+function availableProviders() {
+  return [...providerRegistry.values()].filter((p) => p.available());
 }
 
-// SSE Chat endpoint
-app.post('/api/chat', async (req, res) => {
-  stats.requests += 1;
-  const startedAt = Date.now();
+registerProvider({
+  name: 'GPT',
+  model: OPENAI_CHAT_MODEL,
+  attachments: ['image', 'pdf'],
+  available: () => Boolean(openai),
+  async *stream({ prompt, messages, language, round, signal, onUsage, model, structured, wordBudget }) {
+    const s = await streamOpenAI({ prompt, messages, language, round, signal, model, structured, wordBudget });
+    if (!s) return;
+    yield* chunksFromOpenAI(s, onUsage);
+  },
+}, csv(process.env.OPENAI_FALLBACK_MODELS ?? 'gpt-4o-mini'));
+
+registerProvider({
+  name: 'Claude',
+  model: CLAUDE_MODEL,
+  attachments: ['image', 'pdf'],
+  available: () => Boolean(anthropic),
+  async *stream({ prompt, messages, language, round, signal, onUsage, model, structured, wordBudget }) {
+    const s = await streamAnthropic({ prompt, messages, language, round, signal, model, structured, wordBudget });
+    if (!s) return;
+    yield* chunksFromAnthropic(s, onUsage);
+  },
+}, csv(process.env.CLAUDE_FALLBACK_MODELS ?? 'claude-3-5-haiku-20241022'));
+
+registerProvider({
+  name: 'Gemini',
+  model: GEMINI_MODEL,
+  attachments: ['image', 'pdf'],
+  available: () => Boolean(genAI),
+  async *stream({ prompt, messages, language, round, signal, onUsage, model, structured, wordBudget }) {
+    const s = await streamGemini({ prompt, messages, language, round, signal, model, structured, wordBudget });
+    if (!s) return;
+    yield* chunksFromGemini(s, onUsage);
+  },
+}, csv(process.env.GEMINI_FALLBACK_MODELS ?? 'gemini-2.0-flash'));
+
+// Optional OpenAI-compatible endpoint (Mistral, Ollama, vLLM, ...)
+if (process.env.COMPAT_BASE_URL && process.env.COMPAT_MODEL) {
+  const compatClient = new OpenAI({
+    baseURL: process.env.COMPAT_BASE_URL,
+    apiKey: process.env.COMPAT_API_KEY || 'not-needed',
+  });
+  registerProvider({
+    name: process.env.COMPAT_NAME || 'Local',
+    model: process.env.COMPAT_MODEL,
+    // Vision models behind the endpoint can take images: COMPAT_ATTACHMENTS=image
+    attachments: csv(process.env.COMPAT_ATTACHMENTS),
+    available: () => true,
+    async *stream({ prompt, messages, language, round, signal, onUsage, model, structured, wordBudget }) {
+      const s = await streamOpenAI({
+        prompt,
+        messages,
+        language,
+        round,
+        signal,
+        wordBudget,
+        client: compatClient,
+        model,
+        // Some compatible servers reject stream_options
+        includeUsage: process.env.COMPAT_STREAM_USAGE !== 'false',
+        structured,
+        // Plain JSON mode is more widely supported than json_schema
+        jsonMode: process.env.COMPAT_JSON_MODE || 'json_object',
+      });
+      yield* chunksFromOpenAI(s, onUsage);
+    },
+  }, csv(process.env.COMPAT_FALLBACK_MODELS));
+}
 
-  const {
-    prompt,
-    language = 'English',
-    rounds = 1,
-    useGPT = true,
-    useClaude = true,
-    useGemini = true,
-    moderatorEngine = 'Moderator', // 'GPT' | 'Claude' | 'Gemini' | 'Moderator'
-  } = req.body || {};
+// Scripted providers for running debates offline (see mock.js). A mock named
+// like a real provider replaces it, so MOCK_PROVIDERS=GPT,Claude,Gemini runs
+// the default debate without keys.
+if (process.env.MOCK_PROVIDERS) {
+  const script = loadMockScript(process.env.MOCK_SCRIPT);
+  const delayMs = Number(process.env.MOCK_DELAY_MS) || 0;
+  const names = csv(process.env.MOCK_PROVIDERS);
+  for (const name of names) {
+    registerProvider(createMockProvider(name, { script, delayMs, attachments: csv(process.env.MOCK_ATTACHMENTS) }));
+  }
+  logJson('warn', 'mock_providers_enabled', { providers: names });
+}
 
-  if (!prompt || typeof prompt !== 'string') {
-    return res.status(400).json({ error: 'Missing prompt' });
+// Safety classification (see safety.js). Keyword rules by default;
+// SAFETY_CLASSIFIER=llm asks SAFETY_CLASSIFIER_PROVIDER (default GPT) and keeps
+// the rule matches as a floor. Prompts flagged as self-harm switch the turn to
+// the crisis format: one supportive round with helpline information.
+const ruleClassifier = createRuleClassifier();
+let safetyClassifier = ruleClassifier;
+if (process.env.SAFETY_CLASSIFIER === 'llm') {
+  const provider = findProvider(process.env.SAFETY_CLASSIFIER_PROVIDER || 'GPT');
+  if (provider?.configured()) {
+    safetyClassifier = createLlmClassifier(provider, {
+      rules: ruleClassifier,
+      timeoutMs: Number(process.env.SAFETY_CLASSIFIER_TIMEOUT_MS) || 5000,
+    });
+  } else {
+    logJson('warn', 'safety_classifier_unavailable', { provider: process.env.SAFETY_CLASSIFIER_PROVIDER || 'GPT', using: 'rules' });
   }
+}
+
+// Safety verdict for a turn. A follow-up to a crisis turn stays serious even
+// when the new question alone would not be flagged. `usage` is what the LLM
+// classifier's call cost, for recordClassifierUsage once the turn exists.
+async function classifyTurn(prompt, locale, history = []) {
+  let usage = null;
+  const verdict = await safetyClassifier.classify(prompt, { onUsage: (u) => { usage = u; } });
+  const level = verdict.level === 'none' && history.some((turn) => turn.safety?.level === 'crisis') ? 'serious' : verdict.level;
+  metrics.safetyVerdicts.inc({ level });
+
+  const safety = {
+    level,
+    categories: verdict.categories,
+    classifier: safetyClassifier.name,
+    ...(level === 'crisis' && { helpline: helplineFor(verdict.language, locale) }),
+  };
+  return { safety, usage };
+}
+
+function recordClassifierUsage(turn, usage) {
+  if (usage) recordUsage(turn, safetyClassifier.provider, usage);
+}
 
-  sseHeaders(res);
-  sseSend(res, 'meta', { startedAt, rounds, moderatorEngine });
+// Token usage & cost
+// Providers report token counts per call; they are priced here and rolled up
+// per turn, per device and per UTC day (the `usage` collection, keyed by
+// YYYY-MM-DD). Prices are USD per million tokens, keyed by model name.
+// MODEL_PRICES (JSON) overrides or adds entries, e.g.
+// {"gpt-4o":{"input":2.5,"output":10}}.
+const DEFAULT_MODEL_PRICES = {
+  [OPENAI_CHAT_MODEL]: { input: 2.5, output: 10 },
+  [CLAUDE_MODEL]: { input: 3, output: 15 },
+  [GEMINI_MODEL]: { input: 0.3, output: 2.5 },
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'claude-3-5-haiku-20241022': { input: 0.8, output: 4 },
+  'gemini-2.0-flash': { input: 0.1, output: 0.4 },
+  mock: { input: 0, output: 0 },
+};
 
-  // Detect if topic is serious
-  const isSerious = detectSeriousTopic(prompt);
+const MODEL_PRICES = { ...DEFAULT_MODEL_PRICES, ...parseJsonEnv('MODEL_PRICES', 'usage') };
+const unpricedModels = new Set();
 
-  const active = [
-    useGPT && openai ? 'GPT' : null,
-    useClaude && anthropic ? 'Claude' : null,
-    useGemini && genAI ? 'Gemini' : null,
-  ].filter(Boolean);
+const roundUsd = (value) => Math.round(value * 1e6) / 1e6;
 
-  if (active.length === 0) {
-    sseSend(res, 'error', { message: 'No providers available or enabled.' });
-    return sseDone(res);
+function emptyUsage() {
+  return { inputTokens: 0, outputTokens: 0, costUsd: 0 };
+}
+
+function addUsage(total, usage) {
+  total.inputTokens += usage.inputTokens || 0;
+  total.outputTokens += usage.outputTokens || 0;
+  total.costUsd = roundUsd(total.costUsd + (usage.costUsd || 0));
+  return total;
+}
+
+function priceUsage(model, { inputTokens = 0, outputTokens = 0 }) {
+  const price = MODEL_PRICES[model];
+  if (!price && !unpricedModels.has(model)) {
+    unpricedModels.add(model);
+    logJson('warn', 'model_unpriced', { model });
   }
+  const costUsd = price ? roundUsd((inputTokens * price.input + outputTokens * price.output) / 1e6) : 0;
+  return { inputTokens, outputTokens, costUsd };
+}
 
-  // First-come-first-serve streaming over rounds
-  const collected = [];
-
-  for (let r = 1; r <= Math.max(1, Math.min(3, rounds)); r++) {
-    sseSend(res, 'round', { round: r, message: r === 1 ? 'Round 1 starting…' : `Round ${r} starting…` });
-
-    const tasks = [];
-
-    if (active.includes('GPT')) {
-      tasks.push({
-        name: 'GPT',
-        run: async function* () {
-          const gptPrompt = buildRoundPrompt(prompt, r, collected, 'GPT', isSerious);
-          const stream = await streamOpenAI({ prompt: gptPrompt, language, round: r });
-          if (!stream) return;
-          for await (const chunk of chunksFromOpenAI(stream)) {
-            yield { model: 'GPT', round: r, chunk };
-          }
-        },
-      });
-    }
+// Prices one provider call (at the model that answered, which may be a
+// fallback) and adds it to the turn's totals
+function recordUsage(turn, provider, usage) {
+  const model = usage.model || provider.model;
+  const priced = { model, ...priceUsage(model, usage) };
+  addUsage(turn.usage, priced);
+  turn.usage.byProvider[provider.name] = addUsage(turn.usage.byProvider[provider.name] || emptyUsage(), priced);
+  return priced;
+}
 
-    if (active.includes('Claude')) {
-      tasks.push({
-        name: 'Claude',
-        run: async function* () {
-          const claudePrompt = buildRoundPrompt(prompt, r, collected, 'Claude', isSerious);
-          const stream = await streamAnthropic({ prompt: claudePrompt, language, round: r });
-          if (!stream) return;
-          for await (const chunk of chunksFromAnthropic(stream)) {
-            yield { model: 'Claude', round: r, chunk };
-          }
-        },
-      });
-    }
+function emptyAggregate() {
+  return { ...emptyUsage(), debates: 0, rounds: 0, byProvider: {}, byTier: {} };
+}
 
-    if (active.includes('Gemini')) {
-      tasks.push({
-        name: 'Gemini',
-        run: async function* () {
-          const geminiPrompt = buildRoundPrompt(prompt, r, collected, 'Gemini', isSerious);
-          const stream = await streamGemini({ prompt: geminiPrompt, language, round: r });
-          if (!stream) return;
-          for await (const chunk of chunksFromGemini(stream)) {
-            yield { model: 'Gemini', round: r, chunk };
-          }
-        },
-      });
+function mergeAggregate(target, record) {
+  addUsage(target, record);
+  target.debates += record.debates;
+  target.rounds += record.rounds;
+  for (const [name, usage] of Object.entries(record.byProvider)) {
+    target.byProvider[name] = addUsage(target.byProvider[name] || emptyUsage(), usage);
+  }
+  for (const [tier, usage] of Object.entries(record.byTier)) {
+    const current = target.byTier[tier] || { ...emptyUsage(), debates: 0, rounds: 0 };
+    addUsage(current, usage);
+    current.debates += usage.debates;
+    current.rounds += usage.rounds;
+    target.byTier[tier] = current;
+  }
+  return target;
+}
+
+// Adds a finished turn to its device's totals and to the day's aggregate.
+// `rounds` are the rounds actually delivered, i.e. charged after refunds.
+function recordDebateUsage(device, turn, tier) {
+  const { byProvider, ...totals } = turn.usage;
+  const rounds = turn.completedRounds;
+
+  device.usage = addUsage(device.usage || { ...emptyUsage(), debates: 0, rounds: 0 }, totals);
+  device.usage.debates += 1;
+  device.usage.rounds += rounds;
+  saveDevice(device);
+
+  const day = turn.startedAt.slice(0, 10);
+  const daily = db.get('usage', day) || { day, ...emptyAggregate() };
+  mergeAggregate(daily, {
+    ...totals,
+    debates: 1,
+    rounds,
+    byProvider,
+    byTier: { [tier]: { ...totals, debates: 1, rounds } },
+  });
+  db.put('usage', day, daily);
+}
+
+// Calls an adapter's stream, recording time to first chunk, total duration
+// and errors per provider
+async function* instrumentedStream(provider, params) {
+  const startedAt = Date.now();
+  let firstChunk = true;
+  let outcome = 'ok';
+  try {
+    for await (const chunk of provider.stream(params)) {
+      if (firstChunk) {
+        metrics.providerFirstChunk.observe({ provider: provider.name }, (Date.now() - startedAt) / 1000);
+        firstChunk = false;
+      }
+      yield chunk;
     }
+  } catch (e) {
+    outcome = 'error';
+    if (!params.signal?.aborted) metrics.providerErrors.inc({ provider: provider.name, type: errorType(e) });
+    throw e;
+  } finally {
+    if (params.signal?.aborted) outcome = 'aborted';
+    metrics.providerDuration.observe({ provider: provider.name, outcome }, (Date.now() - startedAt) / 1000);
+  }
+}
 
-    // Run all providers concurrently and pipe chunks as they arrive
-    await new Promise(async (resolveRound) => {
-      const buffers = new Map();
-      let completedCount = 0;
+// Debate context
+// Each model sees the debate as a conversation: the question and the other
+// models' answers as user messages, its own earlier answers as assistant
+// messages. Earlier turns of a session come first, as their final round and
+// moderator synthesis. The conversation is capped at CONTEXT_MAX_TOKENS or the
+// model's context window less CONTEXT_OUTPUT_RESERVE, whichever is smaller;
+// past that, the oldest turns and rounds are summarized by the moderator
+// engine (see context.js). MODEL_CONTEXT_WINDOWS (JSON) overrides or adds
+// windows by model name prefix, e.g. {"llama3":8192}.
+const CONTEXT_MAX_TOKENS = Number(process.env.CONTEXT_MAX_TOKENS) || 12000;
+const CONTEXT_OUTPUT_RESERVE = Number(process.env.CONTEXT_OUTPUT_RESERVE) || 4096;
+const CONTEXT_SUMMARY_TOKENS = Number(process.env.CONTEXT_SUMMARY_TOKENS) || 400;
+const CONTEXT_SUMMARY_CACHE_SIZE = 200;
+
+const CONTEXT_WINDOWS = { ...DEFAULT_CONTEXT_WINDOWS, ...parseJsonEnv('MODEL_CONTEXT_WINDOWS', 'context') };
+const tokenCounter = new TokenCounter();
+// Summary text promises by content; the models of a round share one call
+const contextSummaries = new Map();
+
+function contextBudget(model) {
+  return Math.max(1000, Math.min(CONTEXT_MAX_TOKENS, contextWindow(model, CONTEXT_WINDOWS) - CONTEXT_OUTPUT_RESERVE));
+}
+
+// `GPT R2`, plus the side it argued in formats with roles
+function responseLabel(response, withRound = true) {
+  const label = withRound ? `${response.model} R${response.round}` : response.model;
+  const traits = [response.persona, response.role].filter(Boolean);
+  return traits.length ? `${label} (${traits.join(', ')})` : label;
+}
+
+function lastRound(turn) {
+  return Math.max(0, ...turn.responses.map((r) => r.round));
+}
+
+// Models get a turn's attachments with its first round only; after that the
+// question just names them
+function attachmentNote(attachments, locale) {
+  return t(locale, 'prompts.attachmentsShown', { names: attachments.map((a) => `"${a.name}"`).join(', ') });
+}
+
+// An attachment the model cannot take natively, as text
+function attachmentText(file, locale) {
+  if (file.kind === 'image') return t(locale, 'prompts.attachmentImage', { name: file.name });
+  if (!file.text) return t(locale, 'prompts.attachmentNoText', { name: file.name });
+  return `${t(locale, 'prompts.attachmentDocument', { name: file.name })}\n"""\n${file.text}\n"""`;
+}
+
+// The parts of a debate that may be summarized, oldest first: each earlier
+// turn, then each round of this turn before the previous one (whose answers
+// the next round replies to, so it is always kept)
+function contextUnits(history, collected, round, locale) {
+  const turns = history.map((turn, i) => {
+    const attached = turn.attachments?.length ? ` (${attachmentNote(turn.attachments, locale)})` : '';
+    const answers = turn.responses.map((r) => `- [${responseLabel(r)}] ${r.text}`).join('\n');
+    const synthesis = turn.moderator?.text ? `\n${t(locale, 'transcript.moderator')}: ${turn.moderator.text}` : '';
+    return { kind: 'turn', text: `Q${i + 1}: ${turn.prompt}${attached}\n${answers}${synthesis}` };
+  });
+  const rounds = [];
+  for (let r = 1; r < round - 1; r++) {
+    const answers = collected.filter((c) => c.round === r).map((c) => `- [${responseLabel(c, false)}] ${c.text}`).join('\n');
+    rounds.push({ kind: 'round', round: r, text: `${t(locale, 'transcript.round', { round: r })}\n${answers}` });
+  }
+  return [...turns, ...rounds];
+}
+
+// The conversation `currentModel` gets for `round`. Units before `from` are
+// left out for `summary`; `clipChars` shortens each quoted answer.
+// `attachments` are this turn's files, `accepts` the kinds the model takes
+// natively.
+function roundMessages(basePrompt, round, allRoundResponses, {
+  currentModel = null,
+  isSerious = false,
+  helpline = '',
+  history = [],
+  format = findFormat(DEFAULT_FORMAT),
+  role = null,
+  persona = null,
+  attachments = [],
+  accepts = [],
+} = {}, { summary = null, from = 0, clipChars = null } = {}) {
+  const { locale } = format;
+  const messages = [];
+  // Consecutive messages from the same side are merged, so roles alternate
+  const say = (side, content, files = []) => {
+    const last = messages[messages.length - 1];
+    if (last?.role === side) {
+      last.content += `\n\n${content}`;
+      if (files.length) last.attachments = [...(last.attachments || []), ...files];
+    } else {
+      messages.push({ role: side, content, ...(files.length && { attachments: files }) });
+    }
+  };
+  const clip = (text) => (clipChars ? clipText(text, clipChars) : text);
+  const quote = (responses) => responses.map((r) => `- [${responseLabel(r, false)}] ${clip(r.text)}`).join('\n');
+  // Other models' answers, shown in the next user message
+  const othersSaid = (responses) => {
+    const others = responses.filter((r) => r.model !== currentModel);
+    if (others.length) say('user', `${t(locale, 'prompts.othersSaid')}\n${quote(others)}`);
+  };
+
+  if (summary) say('user', `${t(locale, 'prompts.contextSummary')}\n${summary}`);
+
+  history.forEach((turn, i) => {
+    if (i < from) return;
+    const last = turn.responses.filter((r) => r.round === lastRound(turn));
+    const question = i > 0 ? `${t(locale, 'prompts.followUpQuestion')} ${turn.prompt}` : turn.prompt;
+    say('user', turn.attachments?.length ? `${question}\n\n${attachmentNote(turn.attachments, locale)}` : question);
+    const own = last.find((r) => r.model === currentModel);
+    if (own) say('assistant', clip(own.text));
+    othersSaid(last);
+    if (turn.moderator?.text) say('user', `${t(locale, 'transcript.moderator')}: ${clip(turn.moderator.text)}`);
+  });
+
+  // Rounds before `firstRound` are in the summary
+  const firstRound = Math.max(1, from - history.length + 1);
+  let opening = history.length ? `${t(locale, 'prompts.followUpQuestion')} ${basePrompt}` : basePrompt;
+  const native = round === 1 ? attachments.filter((a) => nativeAttachment(a, accepts)) : [];
+  if (round === 1) {
+    const asText = attachments.filter((a) => !native.includes(a)).map((a) => attachmentText(a, locale));
+    opening = [...asText, opening].join('\n\n');
+  } else if (attachments.length) {
+    opening += `\n\n${attachmentNote(attachments, locale)}`;
+  }
+  if (persona) opening += `\n\n${personaInstruction(persona, locale)}`;
+  if (firstRound === 1) opening += `\n\n${roundInstruction(format, 1, { role, isSerious, helpline })}`;
+  say('user', opening, native);
+
+  for (let r = firstRound; r < round; r++) {
+    const answers = allRoundResponses.filter((c) => c.round === r);
+    const own = answers.find((c) => c.model === currentModel);
+    if (own) say('assistant', clip(own.text));
+    othersSaid(answers);
+    say('user', `${roundInstruction(format, r + 1, { role, isSerious, helpline })}\n\n${format.reply}`);
+  }
+  return messages;
+}
+
+// A short summary of `units` from the moderator engine. Without one, or when
+// the call fails, each unit is cut down to its share of the summary length.
+async function summarizeContext(turn, units, signal) {
+  const { locale, language } = turn;
+  const transcript = units.map((u) => u.text).join('\n\n');
+  const key = cacheKey({ locale, transcript });
+  if (contextSummaries.has(key)) return contextSummaries.get(key);
+
+  let keep = true;
+  const fallback = () => {
+    keep = false;
+    metrics.contextSummaries.inc({ source: 'fallback' });
+    const share = Math.floor((CONTEXT_SUMMARY_TOKENS * 4) / units.length);
+    return units.map((u) => clipText(u.text, share)).join('\n\n');
+  };
+  const summarize = async () => {
+    const moderator = resolveModerator(turn.moderatorEngine);
+    if (!moderator) return fallback();
+    const prompt = t(locale, 'prompts.summarizeContext', {
+      words: Math.round(CONTEXT_SUMMARY_TOKENS * 0.7),
+      language: t(locale, 'prompts.languageRule'),
+      transcript,
+    });
+    let text = '';
+    let usage = null;
+    try {
+      const params = { prompt, language, round: 1, moderator: true, summary: true, signal, onUsage: (u) => { usage = u; } };
+      for await (const chunk of instrumentedStream(moderator, params)) text += chunk;
+    } catch (e) {
+      if (!signal?.aborted) logJson('warn', 'context_summary_failed', { provider: moderator.name, error: errorField(e) });
+      text = '';
+    } finally {
+      if (usage) recordUsage(turn, moderator, usage);
+    }
+    if (!text.trim() || signal?.aborted) return fallback();
+    metrics.contextSummaries.inc({ source: 'model' });
+    return text.trim();
+  };
+
+  const pending = summarize();
+  contextSummaries.set(key, pending);
+  // Only the moderator's summaries are kept; later rounds retry after a fallback
+  pending.then(() => {
+    if (!keep) contextSummaries.delete(key);
+  });
+  if (contextSummaries.size > CONTEXT_SUMMARY_CACHE_SIZE) contextSummaries.delete(contextSummaries.keys().next().value);
+  return pending;
+}
+
+// The round's conversation for `provider`, fitted to its token budget
+async function buildRoundContext(turn, provider, round, options, signal) {
+  const { locale } = options.format;
+  const render = (summary, from, clipTokens) => roundMessages(turn.prompt, round, turn.responses, options, {
+    summary,
+    from,
+    clipChars: clipTokens && Math.floor(clipTokens * tokenCounter.ratio(provider.model)),
+  });
+  const fitted = await fitContext({
+    units: contextUnits(options.history, turn.responses, round, locale),
+    render,
+    count: (messages) => tokenCounter.count(provider.model, messages),
+    budget: contextBudget(provider.model),
+    summarize: (units) => summarizeContext(turn, units, signal),
+    summaryTokens: CONTEXT_SUMMARY_TOKENS,
+  });
+  if (fitted.summarized) {
+    logJson('info', 'context_summarized', { provider: provider.name, round, summarized: fitted.summarized, tokens: fitted.tokens });
+  }
+  return fitted.messages;
+}
+
+function transcriptOf(collected) {
+  return collected
+    .map((c) => `- [${responseLabel(c)}] ${c.text}`)
+    .join('\n');
+}
+
+function moderatorPrompt(question, collected, rounds = 1, format = findFormat(DEFAULT_FORMAT), helpline = '') {
+  return moderatorInstruction(format, { question, transcript: transcriptOf(collected), rounds, helpline });
+}
+
+// Asks the moderator for the structured verdict (see verdict.js) and sends it
+// as `moderator_verdict`. A reply that cannot be parsed is reported as a
+// provider_error; the prose synthesis stands either way.
+async function sendVerdict(stream, turn, moderator, signal) {
+  const { prompt: question, language, locale, responses } = turn;
+  const prompt = t(locale, 'prompts.verdict', {
+    language: t(locale, 'prompts.languageRule'),
+    models: turn.providers.join(', '),
+    question,
+    transcript: transcriptOf(responses),
+  });
+
+  let text = '';
+  let usage = null;
+  const params = {
+    prompt,
+    language,
+    round: turn.rounds,
+    moderator: true,
+    structured: { name: 'verdict', schema: VERDICT_SCHEMA },
+    signal,
+    onUsage: (u) => { usage = u; },
+  };
+  try {
+    for await (const chunk of instrumentedStream(moderator, params)) text += chunk;
+    if (signal?.aborted) return;
+    turn.verdict = parseVerdict(text, { rounds: Math.max(...responses.map((r) => r.round)) });
+    stream.send('moderator_verdict', { engine: moderator.name, verdict: turn.verdict });
+  } catch (e) {
+    if (signal?.aborted) return;
+    logJson('warn', 'verdict_failed', { provider: moderator.name, error: errorField(e) });
+    stream.send('provider_error', { model: moderator.name, moderator: true, verdict: true, message: String(e?.message || e) });
+  } finally {
+    if (usage) recordUsage(turn, moderator, usage);
+  }
+}
+
+// The requested moderator engine, else the first available provider
+function resolveModerator(engine) {
+  const requested = findProvider(engine);
+  return requested?.available() ? requested : availableProviders()[0];
+}
+
+// Runs the rounds and moderator for one turn of a session, streaming over SSE
+async function runDebate(stream, turn, history = [], signal = null) {
+  const { prompt, language, locale, rounds, moderatorEngine, safety } = turn;
+  const format = findFormat(turn.format, locale);
+  const isSerious = safety.level !== 'none';
+  const helpline = safety.helpline?.text || '';
+
+  const active = turn.requested
+    .map(findProvider)
+    .filter((p) => p && p.available());
+  turn.providers = active.map((p) => p.name);
+  const roles = new Map(active.map((p, i) => [p.name, roleFor(format, i)]));
+  // Crisis turns answer as themselves
+  const personas = new Map(safety.level === 'crisis' ? [] : active.filter((p) => turn.personas[p.name]).map((p) => [p.name, turn.personas[p.name]]));
+
+  if (active.length === 0) {
+    stream.send('error', { message: t(locale, 'debate.noProviders') });
+    return false;
+  }
+
+  const attachments = await loadAttachments(turn.attachments);
+
+  // First-come-first-serve streaming over rounds
+  const collected = turn.responses;
+
+  for (let r = 1; r <= rounds; r++) {
+    // Client went away: don't start rounds nobody will read
+    if (signal?.aborted) return false;
+
+    stream.send('round', {
+      round: r,
+      message: t(locale, 'debate.roundStarting', { round: r }),
+      ...(format.roles && { roles: Object.fromEntries([...roles].map(([name, role]) => [name, role.id])) }),
+      ...(personas.size && { personas: Object.fromEntries([...personas].map(([name, persona]) => [name, persona.name])) }),
+    });
+
+    const usages = new Map();
+    const tasks = active.map((provider) => ({
+      name: provider.name,
+      run: async function* () {
+        const messages = await buildRoundContext(turn, provider, r, {
+          currentModel: provider.name,
+          isSerious,
+          helpline,
+          history,
+          format,
+          role: roles.get(provider.name),
+          persona: personas.get(provider.name),
+          attachments,
+          accepts: provider.attachments || [],
+        }, signal);
+        const onUsage = (usage) => {
+          usages.set(provider.name, usage);
+          tokenCounter.observe(usage.model || provider.model, messages, usage.inputTokens);
+        };
+        const wordBudget = personas.get(provider.name)?.wordBudget;
+        const params = { prompt: messages[messages.length - 1].content, messages, language, round: r, signal, onUsage, wordBudget };
+        for await (const chunk of instrumentedStream(provider, params)) {
+          if (signal?.aborted) return;
+          yield { model: provider.name, round: r, chunk };
+        }
+      },
+    }));
+
+    // Run all providers concurrently and pipe chunks as they arrive
+    await new Promise(async (resolveRound) => {
+      const buffers = new Map();
+      let completedCount = 0;
 
       await Promise.all(
         tasks.map(async (t) => {
@@ -718,92 +2539,957 @@ app.post('/api/chat', async (req, res) => {
             for await (const item of t.run()) {
               const prev = buffers.get(t.name) || '';
               buffers.set(t.name, prev + item.chunk);
-              sseSend(res, 'chunk', { model: item.model, round: r, text: item.chunk });
+              stream.send('chunk', { model: item.model, round: r, text: item.chunk });
             }
             completedCount += 1;
           } catch (e) {
             completedCount += 1;
-            sseSend(res, 'provider_error', { model: t.name, round: r, message: String(e?.message || e) });
+            // Aborted upstream requests throw; that is the cancellation, not a provider failure
+            if (signal?.aborted) return;
+            stream.send('provider_error', { model: t.name, round: r, message: String(e?.message || e) });
           }
         })
       );
 
       // Push finalize signal without re-sending full text (avoid duplication)
       for (const [model, text] of buffers.entries()) {
+        // Failed and cancelled calls are billed too, so usage is recorded either way
+        const usage = usages.has(model) ? recordUsage(turn, findProvider(model), usages.get(model)) : null;
         if (text) {
-          collected.push({ model, round: r, text });
-          sseSend(res, 'message', { model, round: r, text: '' });
+          const role = roles.get(model);
+          const persona = personas.get(model)?.name;
+          collected.push({ model, round: r, text, ...(role && { role: role.label }), ...(persona && { persona }), ...(usage && { usage }) });
+          stream.send('message', { model, round: r, text: '', ...(persona && { persona }) });
         }
       }
 
+      // A round counts as delivered when at least one model answered before the debate was cancelled
+      if (!signal?.aborted && [...buffers.values()].some(Boolean)) turn.completedRounds += 1;
+
       resolveRound();
     });
+
+    // Consensus formats end early once every model accepts the others' position
+    const answers = collected.filter((c) => c.round === r);
+    if (format.untilConsensus && r > 1 && r < rounds
+      && answers.length === active.length && reachedConsensus(answers.map((c) => c.text))) {
+      stream.send('consensus', { round: r });
+      break;
+    }
   }
 
+  if (signal?.aborted) return false;
+
   // Moderator step
-  const modPrompt = moderatorPrompt(language, collected, rounds);
+  const modPrompt = moderatorPrompt(prompt, collected, rounds, format, helpline);
+  const moderator = resolveModerator(moderatorEngine);
 
-  async function* moderatorRun() {
-    if (moderatorEngine === 'GPT' && openai) {
-      const s = await streamOpenAI({ prompt: modPrompt, language, round: rounds });
-      for await (const c of chunksFromOpenAI(s)) yield c;
-      return;
+  let modBuf = '';
+  let modUsage = null;
+  if (moderator && collected.length) {
+    const onUsage = (usage) => { modUsage = usage; };
+    try {
+      const params = { prompt: modPrompt, language, round: rounds, moderator: true, signal, onUsage };
+      for await (const chunk of instrumentedStream(moderator, params)) {
+        if (signal?.aborted) break;
+        modBuf += chunk;
+        stream.send('moderator_chunk', { text: chunk });
+      }
+    } catch (e) {
+      if (!signal?.aborted) stream.send('provider_error', { model: moderator.name, moderator: true, message: String(e?.message || e) });
     }
-    if (moderatorEngine === 'Claude' && anthropic) {
-      const s = await streamAnthropic({ prompt: modPrompt, language, round: rounds });
-      for await (const c of chunksFromAnthropic(s)) yield c;
-      return;
+  }
+  if (modBuf) stream.send('moderator_message', { text: '' });
+  turn.moderator = { engine: moderator?.name || null, text: modBuf };
+  if (modUsage) turn.moderator.usage = recordUsage(turn, moderator, modUsage);
+
+  // A crisis turn is not a debate, so it gets no scoreboard
+  if (turn.verdictRequested && safety.level !== 'crisis' && moderator && collected.length && !signal?.aborted) {
+    await sendVerdict(stream, turn, moderator, signal);
+  }
+
+  return !signal?.aborted;
+}
+
+// Debate cache and single-flight
+// The first turn of a session is addressed by everything that shapes the
+// debate: the normalized prompt, the providers and their models, rounds,
+// format, moderator, language, personas and safety level. A debate that
+// finished without errors is kept for DEBATE_CACHE_TTL_MS (0 turns the cache
+// off) and a repeat is played back from it; an identical debate that starts
+// while one is running joins it instead of calling the providers again.
+// Follow-ups depend on the session's history and crisis turns are personal,
+// so both always run on their own.
+const DEBATE_CACHE_TTL_MS = Number(process.env.DEBATE_CACHE_TTL_MS ?? 24 * 60 * 60 * 1000);
+const DEBATE_CACHE_MAX_ENTRIES = Number(process.env.DEBATE_CACHE_MAX_ENTRIES) || 500;
+const CACHE_REPLAY_MAX_GAP_MS = Number(process.env.CACHE_REPLAY_MAX_GAP_MS) || 400;
+const debateFlights = new Map(); // cache key -> DebateFlight
+
+function debateCacheKey(turn) {
+  const active = turn.requested.map(findProvider).filter((p) => p && p.available());
+  const moderator = resolveModerator(turn.moderatorEngine);
+  return cacheKey({
+    prompt: normalizePrompt(turn.prompt),
+    attachments: (turn.attachments || []).map((a) => a.sha256),
+    providers: active.map((p) => [p.name, p.model]),
+    personas: active.map((p) => {
+      const { id, ...persona } = turn.personas[p.name] || {};
+      return persona;
+    }),
+    moderator: moderator ? [moderator.name, moderator.model] : null,
+    rounds: turn.rounds,
+    format: turn.format,
+    language: turn.language,
+    locale: turn.locale,
+    verdict: turn.verdictRequested,
+    safety: turn.safety.level,
+  });
+}
+
+// The parts of a turn that runDebate fills in. Usage stays with the turn that
+// paid for the provider calls (see addDebateUsage).
+function debateOutcome(turn, { withUsage = false } = {}) {
+  const strip = ({ usage, ...rest }) => (withUsage && usage ? { ...rest, usage } : rest);
+  return {
+    providers: [...turn.providers],
+    responses: turn.responses.map(strip),
+    moderator: turn.moderator && strip(turn.moderator),
+    ...(turn.verdict && { verdict: turn.verdict }),
+    completedRounds: turn.completedRounds,
+  };
+}
+
+// Adds a debate's usage to the paying turn, which may already carry calls
+// made before the debate started (the safety classifier's)
+function addDebateUsage(turn, { byProvider, ...totals }) {
+  addUsage(turn.usage, totals);
+  for (const [name, usage] of Object.entries(byProvider)) {
+    turn.usage.byProvider[name] = addUsage(turn.usage.byProvider[name] || emptyUsage(), usage);
+  }
+}
+
+// One upstream debate streamed to every client that asked for it. Events
+// are recorded so a client that joins late first gets what it missed.
+class DebateFlight {
+  constructor(key, turn) {
+    this.key = key;
+    this.cancel = new AbortController();
+    this.events = [];
+    this.subscribers = new Set();
+    this.payer = null;
+    this.ok = false;
+    this.finished = false;
+    this.turn = {
+      ...turn,
+      providers: [],
+      responses: [],
+      moderator: null,
+      usage: { ...emptyUsage(), byProvider: {} },
+      completedRounds: 0,
+    };
+    debateFlights.set(key, this);
+    this.done = this.run();
+  }
+
+  send(event, data) {
+    this.events.push({ event, data, at: Date.now() });
+    for (const { stream } of this.subscribers) stream.send(event, data);
+  }
+
+  async run() {
+    try {
+      this.ok = await runDebate(this, this.turn, [], this.cancel.signal);
+    } catch (e) {
+      logJson('error', 'debate_failed', { cacheKey: this.key, error: errorField(e, { stack: true }) });
+      this.send('error', { message: String(e?.message || e) });
     }
-    if (moderatorEngine === 'Gemini' && genAI) {
-      const s = await streamGemini({ prompt: modPrompt, language, round: rounds });
-      for await (const c of chunksFromGemini(s)) yield c;
-      return;
+    this.finished = true;
+    if (debateFlights.get(this.key) === this) debateFlights.delete(this.key);
+    this.payer ??= this.subscribers.values().next().value || null;
+
+    const failed = this.events.some(({ event }) => event === 'error' || event === 'provider_error');
+    if (this.ok && !failed) storeDebate(this);
+  }
+
+  // Streams the debate to one more client and fills `turn` with the outcome
+  // once it ends or the client cancels. The last client to leave aborts the
+  // upstream run. Provider usage is billed to the client still attached at
+  // the end, or to the one that left last.
+  async follow(stream, turn, signal) {
+    for (const { event, data } of this.events) stream.send(event, data);
+    const subscriber = { stream, turn };
+    this.subscribers.add(subscriber);
+
+    const left = new Promise((resolve) => signal.addEventListener('abort', resolve, { once: true }));
+    await Promise.race([this.done, left]);
+    this.subscribers.delete(subscriber);
+
+    if (!this.finished) {
+      if (this.subscribers.size) {
+        Object.assign(turn, debateOutcome(this.turn));
+        return false;
+      }
+      this.payer = subscriber;
+      debateFlights.delete(this.key);
+      this.cancel.abort(signal.reason);
+      await this.done;
     }
-    if (openai) {
-      const s = await streamOpenAI({ prompt: modPrompt, language, round: rounds });
-      for await (const c of chunksFromOpenAI(s)) yield c;
-      return;
+
+    const paid = this.payer === subscriber;
+    Object.assign(turn, debateOutcome(this.turn, { withUsage: paid }));
+    if (paid) addDebateUsage(turn, this.turn.usage);
+    return this.ok && !signal.aborted;
+  }
+}
+
+function storeDebate({ key, turn, events }) {
+  if (!(DEBATE_CACHE_TTL_MS > 0)) return;
+
+  const now = Date.now();
+  const entry = {
+    key,
+    prompt: turn.prompt,
+    format: turn.format,
+    rounds: turn.rounds,
+    language: turn.language,
+    providers: turn.providers,
+    createdAt: new Date(now).toISOString(),
+    expiresAt: new Date(now + DEBATE_CACHE_TTL_MS).toISOString(),
+    events: compactEvents(events),
+    result: debateOutcome(turn),
+  };
+
+  // Expired entries go first, then the oldest ones over the limit
+  const entries = db.all('debateCache').filter((e) => e.key !== key);
+  const expired = entries.filter((e) => Date.parse(e.expiresAt) <= now);
+  const live = entries.filter((e) => Date.parse(e.expiresAt) > now).sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  const evicted = [...expired, ...live.slice(0, Math.max(0, live.length - DEBATE_CACHE_MAX_ENTRIES + 1))];
+  db.transaction(() => {
+    for (const e of evicted) db.delete('debateCache', e.key);
+    db.put('debateCache', key, entry);
+  });
+}
+
+// Where a turn's debate comes from: a cached run (`hit`), a running one
+// (`shared`) or a new one (`miss`). Null when the turn is not cacheable.
+function debateSource(turn, history) {
+  if (history.length || turn.safety.level === 'crisis') return null;
+
+  const key = debateCacheKey(turn);
+  const entry = DEBATE_CACHE_TTL_MS > 0 ? db.get('debateCache', key) : null;
+  let source;
+  if (entry && Date.parse(entry.expiresAt) > Date.now()) {
+    source = { cache: 'hit', entry };
+  } else {
+    const running = debateFlights.get(key);
+    source = running ? { cache: 'shared', flight: running } : { cache: 'miss', flight: new DebateFlight(key, turn) };
+  }
+  metrics.debateCache.inc({ result: source.cache });
+  return source;
+}
+
+// Plays a cached debate back at its recorded pace, with long waits (such as
+// a provider's time to first token) shortened to CACHE_REPLAY_MAX_GAP_MS. A
+// cancelled replay keeps the rounds it played in full.
+async function replayDebate(stream, turn, entry, signal) {
+  const outcome = entry.result;
+  let round = 0;
+  let moderating = false;
+  const finished = await replayEvents(entry.events, (event, data) => {
+    if (event === 'round') round = data.round;
+    if (event.startsWith('moderator_')) moderating = true;
+    stream.send(event, data);
+  }, { signal, maxGapMs: CACHE_REPLAY_MAX_GAP_MS });
+
+  if (finished) {
+    Object.assign(turn, structuredClone(outcome));
+    return true;
+  }
+  const played = moderating ? outcome.completedRounds : Math.min(outcome.completedRounds, Math.max(0, round - 1));
+  turn.providers = [...outcome.providers];
+  turn.responses = outcome.responses.filter((r) => r.round <= played);
+  turn.completedRounds = played;
+  return false;
+}
+
+function runFromSource(stream, turn, source, signal) {
+  return source.entry
+    ? replayDebate(stream, turn, source.entry, signal)
+    : source.flight.follow(stream, turn, signal);
+}
+
+// Provider names requested by a chat body. `providers: [...]` wins; the legacy
+// useGPT/useClaude/useGemini flags still work for older app builds.
+function requestedProviders(body, fallback) {
+  // Names are matched case-insensitively, so "gpt" and "GPT" are one debater
+  if (Array.isArray(body?.providers)) return [...new Set(body.providers.map((name) => findProvider(name)?.name ?? name))];
+  if (fallback && !['useGPT', 'useClaude', 'useGemini'].some((k) => k in (body || {}))) return fallback;
+
+  const { useGPT = true, useClaude = true, useGemini = true } = body || {};
+  return [useGPT && 'GPT', useClaude && 'Claude', useGemini && 'Gemini'].filter(Boolean);
+}
+
+// `safety` is the classifier verdict; a crisis overrides the requested format.
+// `locale` picks the language of the prompt templates and status messages.
+// `personas` comes from resolvePersonas; follow-ups keep the previous ones.
+function newTurn(body, { safety, locale, personas, attachments = [] }, defaults = {}) {
+  // Follow-ups never inherit a hidden format such as crisis
+  const defaultFormat = findFormat(defaults.format)?.hidden ? DEFAULT_FORMAT : defaults.format || DEFAULT_FORMAT;
+  const {
+    prompt,
+    language = defaults.language || t(locale, 'meta.englishName'),
+    format = defaultFormat,
+    moderatorEngine = defaults.moderatorEngine || 'Moderator', // any registered provider name, or 'Moderator' for the default
+  } = body || {};
+
+  const debateFormat = findFormat(safety.level === 'crisis' ? 'crisis' : format);
+  // A follow-up keeps the round count only when it stays in the same format
+  const rounds = body?.rounds ?? (debateFormat.id === defaultFormat ? defaults.rounds : undefined);
+
+  return {
+    prompt,
+    attachments: attachments.map(attachmentRecord),
+    language,
+    locale,
+    format: debateFormat.id,
+    rounds: clampRounds(debateFormat, rounds),
+    moderatorEngine,
+    requested: requestedProviders(body, defaults.requested),
+    verdictRequested: Boolean(body?.verdict ?? defaults.verdictRequested),
+    personas: personas ?? defaults.personas ?? {},
+    safety,
+    providers: [],
+    responses: [],
+    moderator: null,
+    usage: { ...emptyUsage(), byProvider: {} },
+    completedRounds: 0,
+    status: 'running',
+    startedAt: new Date().toISOString(),
+    completedAt: null,
+    durationMs: null,
+  };
+}
+
+// Personas for a debate from the body's `personas`: { [provider]: persona or
+// saved persona id }. Saved personas are copied into the turn, so editing or
+// deleting one later does not rewrite past debates. Returns { personas }
+// (undefined when the body has none) or { error }.
+function resolvePersonas(input, device, locale) {
+  if (input === undefined) return {};
+  if (!input || typeof input !== 'object' || Array.isArray(input)) return { error: t(locale, 'errors.personasNotObject') };
+
+  const unknown = Object.keys(input).filter((name) => !findProvider(name));
+  if (unknown.length) return { error: t(locale, 'errors.unknownProviders', { providers: unknown.join(', ') }) };
+
+  const personas = {};
+  for (const [name, value] of Object.entries(input)) {
+    if (value === null) continue;
+    if (typeof value === 'string') {
+      const saved = db.get('personas', value);
+      if (saved?.deviceId !== device.deviceId) return { error: t(locale, 'errors.personaNotFound') };
+      personas[findProvider(name).name] = { id: saved.id, ...validatePersona(saved).persona };
+      continue;
     }
-    // If no providers for moderator
-    return;
+    const { persona, error, vars } = validatePersona(value);
+    if (error) return { error: t(locale, `errors.${error}`, vars) };
+    personas[findProvider(name).name] = persona;
   }
+  return { personas };
+}
 
-  let modBuf = '';
-  for await (const chunk of moderatorRun()) {
-    modBuf += chunk;
-    sseSend(res, 'moderator_chunk', { text: chunk });
+// Returns an error message for a bad `providers` or `format` field, or null
+function turnOptionsError(body, locale) {
+  if (body?.format !== undefined && (!findFormat(body.format) || findFormat(body.format).hidden)) {
+    return t(locale, 'errors.unknownFormat', { format: body.format });
+  }
+  if (body?.providers === undefined) return null;
+  if (!Array.isArray(body.providers) || body.providers.some((name) => typeof name !== 'string')) {
+    return t(locale, 'errors.providersNotArray');
+  }
+  if (body.providers.length > providerRegistry.size) return t(locale, 'errors.providersTooMany', { max: providerRegistry.size });
+  const unknown = body.providers.filter((name) => !findProvider(name));
+  return unknown.length ? t(locale, 'errors.unknownProviders', { providers: unknown.join(', ') }) : null;
+}
+
+// Streams one turn and records its outcome on the session. `charge` is the
+// quota reservation made for it; rounds that were not delivered (every
+// provider failed, or the debate was cancelled first) are refunded.
+//
+// The debate is aborted when the client calls POST /api/chat/:id/cancel or
+// stays disconnected past the resume grace period: upstream streams are cut
+// off, and the remaining rounds and the moderator are skipped.
+async function streamTurn(res, session, turn, history, device, charge) {
+  const startedAt = Date.now();
+  session.status = 'running';
+  session.updatedAt = turn.startedAt;
+  saveSession(session);
+
+  const stream = new DebateStream(session.id, session.turns.length);
+  const { cancel } = stream;
+  debateStreams.set(session.id, stream);
+  stream.attach(res);
+
+  turn.requestId = res.req.id;
+  const source = debateSource(turn, history);
+  if (source) turn.cache = source.cache;
+  stream.send('meta', {
+    requestId: res.req.id,
+    startedAt,
+    rounds: turn.rounds,
+    format: turn.format,
+    locale: turn.locale,
+    ...(Object.keys(turn.personas).length && { personas: turn.personas }),
+    moderatorEngine: turn.moderatorEngine,
+    ...(source && { cache: source.cache }),
+    sessionId: session.id,
+    turn: session.turns.length,
+    quota: { ...quotaBalance(device), roundsCharged: turn.rounds },
+  });
+  if (turn.safety.level !== 'none') {
+    const { classifier, ...safety } = turn.safety;
+    stream.send('safety', safety);
   }
-  if (modBuf) sseSend(res, 'moderator_message', { text: '' });
 
-  stats.chats += 1;
-  sseDone(res);
+  let ok = false;
+  try {
+    ok = source
+      ? await runFromSource(stream, turn, source, cancel.signal)
+      : await runDebate(stream, turn, history, cancel.signal);
+  } catch (e) {
+    logJson('error', 'debate_failed', { requestId: res.req.id, sessionId: session.id, error: errorField(e, { stack: true }) });
+    stream.send('error', { message: String(e?.message || e) });
+  }
+
+  if (cancel.signal.aborted) {
+    turn.cancelReason = cancel.signal.reason;
+    stream.send('cancelled', { reason: cancel.signal.reason });
+    logJson('info', 'debate_cancelled', {
+      requestId: res.req.id,
+      sessionId: session.id,
+      reason: cancel.signal.reason,
+      completedRounds: turn.completedRounds,
+      rounds: turn.rounds,
+    });
+  }
+
+  const undelivered = turn.rounds - turn.completedRounds;
+  if (undelivered > 0) {
+    refundRounds(device, undelivered, charge.tier);
+    stream.send('quota', { ...quotaBalance(device), roundsRefunded: undelivered });
+  }
+
+  turn.status = cancel.signal.aborted ? 'cancelled' : ok ? 'completed' : 'failed';
+  turn.completedAt = new Date().toISOString();
+  turn.durationMs = Date.now() - startedAt;
+  session.status = turn.status;
+  session.updatedAt = turn.completedAt;
+  db.transaction(() => {
+    saveSession(session);
+    recordDebateUsage(device, turn, charge.tier);
+  });
+
+  if (ok) stats.chats += 1;
+  stream.finish();
+}
+
+// Every debate is paid for by the authenticated device. Returns its quota
+// reservation, or sends the refusal and returns null.
+function chargeOrRefuse(res, device, rounds) {
+  const charge = chargeDebate(device, rounds, new Date(), res.req.locale);
+  if (!charge.allowed) {
+    res.status(charge.rateLimited ? 429 : 402).json(charge);
+    return null;
+  }
+
+  return charge;
+}
+
+// Attachments
+// Files are stored once per content under DATA_DIR/attachments/<sha256>,
+// with the text extracted at upload in <sha256>.txt; turns keep their
+// metadata (name, type, size, hash). Both are read back when a debate runs,
+// the bytes also when the owner downloads them.
+const ATTACHMENT_DIR = `${DATA_DIR}/attachments`;
+fs.mkdirSync(ATTACHMENT_DIR, { recursive: true });
+
+async function writeAtomic(target, data) {
+  if (fs.existsSync(target)) return;
+  await fs.promises.writeFile(`${target}.tmp`, data);
+  await fs.promises.rename(`${target}.tmp`, target);
+}
+
+async function storeAttachments(files) {
+  for (const file of files) {
+    const target = `${ATTACHMENT_DIR}/${file.sha256}`;
+    if (file.text) await writeAtomic(`${target}.txt`, file.text);
+    await writeAtomic(target, file.data);
+  }
+}
+
+// Stores a request's files before it is charged, or sends a 500. Requests
+// refused afterwards take them out again with pruneAttachments.
+async function storeAttachmentsOrFail(res, files) {
+  try {
+    await storeAttachments(files);
+    return true;
+  } catch (e) {
+    logJson('error', 'attachments_store_failed', { requestId: res.req.id, error: errorField(e) });
+    res.status(500).json({ error: res.req.t('errors.attachmentStoreFailed') });
+    return false;
+  }
+}
+
+// A turn's files with their bytes and text; unreadable ones are left out
+async function loadAttachments(records = []) {
+  const files = [];
+  for (const record of records) {
+    try {
+      const target = `${ATTACHMENT_DIR}/${record.sha256}`;
+      const data = await fs.promises.readFile(target);
+      const text = record.textChars ? await fs.promises.readFile(`${target}.txt`, 'utf8') : '';
+      files.push({ ...record, data, tokens: attachmentTokens(record), ...(record.kind === 'document' && { text }) });
+    } catch (e) {
+      logJson('warn', 'attachment_unreadable', { sha256: record.sha256, error: errorField(e) });
+    }
+  }
+  return files;
+}
+
+// Deletes stored files that no remaining session refers to
+function pruneAttachments(records) {
+  if (!records.length) return;
+  const used = new Set(db.all('sessions').flatMap((s) => s.turns.flatMap((turn) => (turn.attachments || []).map((a) => a.sha256))));
+  for (const { sha256 } of records) {
+    if (used.has(sha256)) continue;
+    fs.rmSync(`${ATTACHMENT_DIR}/${sha256}`, { force: true });
+    fs.rmSync(`${ATTACHMENT_DIR}/${sha256}.txt`, { force: true });
+  }
+}
+
+// SSE Chat endpoint
+app.post('/api/chat', requireDevice, sseSlot, rateLimit('debates', byDevice), attachmentBody, async (req, res) => {
+  stats.requests += 1;
+
+  const { prompt } = req.body || {};
+  const { device } = req;
+
+  if (!prompt || typeof prompt !== 'string') {
+    return res.status(400).json({ error: req.t('errors.missingPrompt') });
+  }
+
+  const optionsErr = turnOptionsError(req.body, req.locale);
+  if (optionsErr) {
+    return res.status(400).json({ error: optionsErr });
+  }
+
+  const { personas, error: personasErr } = resolvePersonas(req.body.personas, device, req.locale);
+  if (personasErr) {
+    return res.status(400).json({ error: personasErr });
+  }
+
+  const { attachments, error: attachmentsErr, vars } = parseAttachments(req.body.attachments);
+  if (attachmentsErr) {
+    return res.status(400).json({ error: req.t(`errors.${attachmentsErr}`, vars) });
+  }
+  if (!(await storeAttachmentsOrFail(res, attachments))) return;
+
+  const { safety, usage } = await classifyTurn(prompt, req.locale);
+  const turn = newTurn(req.body, { safety, locale: req.locale, personas, attachments });
+  recordClassifierUsage(turn, usage);
+  const charge = chargeOrRefuse(res, device, turn.rounds);
+  if (!charge) return pruneAttachments(attachments);
+
+  const session = {
+    id: crypto.randomUUID(),
+    deviceId: device.deviceId,
+    prompt,
+    status: 'running',
+    createdAt: turn.startedAt,
+    updatedAt: turn.startedAt,
+    turns: [turn],
+  };
+
+  await streamTurn(res, session, turn, [], device, charge);
+});
+
+// Sessions with a follow-up being set up: it holds the session from its
+// checks until streamTurn has marked it running, across the awaits for its
+// files and safety classification
+const startingFollowUps = new Set();
+
+// Ask a new question inside an existing debate
+app.post('/api/sessions/:id/follow-up', requireDevice, sseSlot, rateLimit('debates', byDevice), attachmentBody, async (req, res) => {
+  stats.requests += 1;
+
+  const session = ownSession(req, res);
+  if (!session) return;
+  const { prompt } = req.body || {};
+  const { device } = req;
+
+  if (!prompt || typeof prompt !== 'string') {
+    return res.status(400).json({ error: req.t('errors.missingPrompt') });
+  }
+
+  if (session.status === 'running' || startingFollowUps.has(session.id)) {
+    return res.status(409).json({ error: req.t('errors.sessionRunning') });
+  }
+
+  const optionsErr = turnOptionsError(req.body, req.locale);
+  if (optionsErr) {
+    return res.status(400).json({ error: optionsErr });
+  }
+
+  const { personas, error: personasErr } = resolvePersonas(req.body.personas, device, req.locale);
+  if (personasErr) {
+    return res.status(400).json({ error: personasErr });
+  }
+
+  const { attachments, error: attachmentsErr, vars } = parseAttachments(req.body.attachments);
+  if (attachmentsErr) {
+    return res.status(400).json({ error: req.t(`errors.${attachmentsErr}`, vars) });
+  }
+  startingFollowUps.add(session.id);
+  let turn;
+  let charge;
+  let history;
+  try {
+    if (!(await storeAttachmentsOrFail(res, attachments))) return;
+
+    history = session.turns.filter((t) => t.status === 'completed');
+    const defaults = history[history.length - 1] || session.turns[0];
+    const { safety, usage } = await classifyTurn(prompt, req.locale, session.turns);
+    turn = newTurn(req.body, { safety, locale: req.locale, personas, attachments }, defaults);
+    recordClassifierUsage(turn, usage);
+    charge = chargeOrRefuse(res, device, turn.rounds);
+    if (!charge) return pruneAttachments(attachments);
+  } finally {
+    startingFollowUps.delete(session.id);
+  }
+
+  // No await between here and streamTurn marking the session running
+  session.turns.push(turn);
+  await streamTurn(res, session, turn, history, device, charge);
+});
+
+// Stops a running debate from another request, e.g. the app's stop button
+app.post('/api/chat/:id/cancel', requireDevice, (req, res) => {
+  const session = ownSession(req, res);
+  if (!session) return;
+
+  const stream = debateStreams.get(session.id);
+  if (!stream || stream.finished) {
+    return res.status(409).json({ error: req.t('errors.sessionNotRunning') });
+  }
+
+  stream.cancel.abort('cancelled');
+  res.json({ ok: true, sessionId: session.id });
+});
+
+// Reconnects to a debate's event stream. Events after Last-Event-ID (header,
+// or `lastEventId` for clients that cannot set it) are replayed first.
+app.get('/api/chat/:id/stream', requireDevice, sseSlot, (req, res) => {
+  const session = ownSession(req, res);
+  if (!session) return;
+
+  const stream = debateStreams.get(session.id);
+  if (!stream) {
+    return res.status(410).json({ error: req.t('errors.streamGone'), status: session.status });
+  }
+
+  stream.attach(res, req.headers['last-event-id'] || req.query.lastEventId);
+});
+
+app.get('/api/sessions/:id', requireDevice, (req, res) => {
+  const session = ownSession(req, res);
+  if (!session) return;
+
+  res.json({ session });
+});
+
+// The session named in the path when the device may read it, else sends the
+// error and returns null. Sessions without an owner (stored before devices
+// were tracked) are not handed to whichever device asks first.
+function ownSession(req, res) {
+  const session = db.get('sessions', req.params.id);
+  if (!session?.deviceId) {
+    res.status(404).json({ error: req.t('errors.sessionNotFound') });
+    return null;
+  }
+  if (req.device.deviceId !== session.deviceId) {
+    res.status(403).json({ error: req.t('errors.sessionOtherDevice') });
+    return null;
+  }
+  return session;
+}
+
+// Transcripts are labelled in the debate's locale unless ?language= asks
+// for another one
+function transcriptLocale(req, session) {
+  return localeFor(req.query.language) || session.turns[0]?.locale || req.locale;
+}
+
+// Transcript download: ?format=md|json|html
+app.get('/api/sessions/:id/export', requireDevice, (req, res) => {
+  const session = ownSession(req, res);
+  if (!session) return;
+
+  const format = String(req.query.format || 'md').toLowerCase();
+  if (!Object.hasOwn(EXPORT_FORMATS, format)) {
+    return res.status(400).json({ error: req.t('errors.unknownExportFormat', { formats: Object.keys(EXPORT_FORMATS).join(', ') }) });
+  }
+
+  const locale = transcriptLocale(req, session);
+  const doc = transcriptDocument(session);
+  const body = format === 'json' ? JSON.stringify(doc, null, 2)
+    : format === 'html' ? toHtml(doc, { locale })
+    : toMarkdown(doc, locale);
+
+  res.setHeader('Content-Type', EXPORT_FORMATS[format].type);
+  res.setHeader('Content-Disposition', `attachment; filename="debate-${session.id}.${EXPORT_FORMATS[format].extension}"`);
+  res.send(body);
+});
+
+// A file attached to one of the session's questions, as uploaded
+app.get('/api/sessions/:id/attachments/:attachmentId', requireDevice, async (req, res) => {
+  const session = ownSession(req, res);
+  if (!session) return;
+
+  const record = session.turns.flatMap((turn) => turn.attachments || []).find((a) => a.id === req.params.attachmentId);
+  let data;
+  try {
+    data = record && await fs.promises.readFile(`${ATTACHMENT_DIR}/${record.sha256}`);
+  } catch {
+    data = null;
+  }
+  if (!data) {
+    return res.status(404).json({ error: req.t('errors.attachmentNotFound') });
+  }
+
+  const fallbackName = record.name.replace(/[^\w.-]+/g, '_');
+  res.setHeader('Content-Type', record.type);
+  res.setHeader('Content-Disposition', `attachment; filename="${fallbackName}"; filename*=UTF-8''${encodeURIComponent(record.name)}`);
+  res.setHeader('X-Content-Type-Options', 'nosniff');
+  res.send(data);
+});
+
+// Public share links
+// A session has at most one link at a time. The token is the only key to
+// the page, so it is random and revoking the link deletes it for good.
+// Links are only handed out under PUBLIC_BASE_URL: the Host header is
+// client-controlled, so a link built from it could point anywhere.
+const PUBLIC_BASE_URL = (process.env.PUBLIC_BASE_URL || '').replace(/\/+$/, '');
+
+if (!PUBLIC_BASE_URL) {
+  logJson('warn', 'share_links_disabled', { reason: 'PUBLIC_BASE_URL not set' });
+}
+
+function shareUrl(token) {
+  return `${PUBLIC_BASE_URL}/share/${token}`;
+}
+
+function publicShare(share) {
+  return { url: shareUrl(share.token), createdAt: share.createdAt };
+}
+
+app.get('/api/sessions/:id/share', requireDevice, (req, res) => {
+  const session = ownSession(req, res);
+  if (!session) return;
+
+  if (!PUBLIC_BASE_URL) {
+    return res.status(503).json({ error: req.t('errors.sharingNotConfigured') });
+  }
+  const [share] = db.find('shares', 'sessionId', session.id);
+  if (!share) {
+    return res.status(404).json({ error: req.t('errors.shareNotFound') });
+  }
+  res.json({ share: publicShare(share) });
+});
+
+// Creates the session's link, or returns the existing one
+app.post('/api/sessions/:id/share', requireDevice, (req, res) => {
+  const session = ownSession(req, res);
+  if (!session) return;
+
+  if (!PUBLIC_BASE_URL) {
+    return res.status(503).json({ error: req.t('errors.sharingNotConfigured') });
+  }
+  const [existing] = db.find('shares', 'sessionId', session.id);
+  if (existing) return res.json({ share: publicShare(existing) });
+
+  const share = {
+    token: crypto.randomBytes(24).toString('base64url'),
+    sessionId: session.id,
+    deviceId: req.device.deviceId,
+    createdAt: new Date().toISOString(),
+  };
+  db.put('shares', share.token, share);
+  logJson('info', 'share_created', { sessionId: session.id, deviceId: req.device.deviceId });
+  res.status(201).json({ share: publicShare(share) });
+});
+
+app.delete('/api/sessions/:id/share', requireDevice, (req, res) => {
+  const session = ownSession(req, res);
+  if (!session) return;
+
+  const shares = db.find('shares', 'sessionId', session.id);
+  if (!shares.length) {
+    return res.status(404).json({ error: req.t('errors.shareNotFound') });
+  }
+  db.transaction(() => {
+    for (const share of shares) db.delete('shares', share.token);
+  });
+  logJson('info', 'share_revoked', { sessionId: session.id, deviceId: req.device.deviceId });
+  res.json({ ok: true });
+});
+
+// The read-only page behind a share link
+app.get('/share/:token', rateLimit('share'), (req, res) => {
+  const share = db.get('shares', req.params.token);
+  const session = share && db.get('sessions', share.sessionId);
+
+  res.setHeader('Content-Security-Policy', "default-src 'none'; style-src 'unsafe-inline'");
+  res.setHeader('Referrer-Policy', 'no-referrer');
+  res.setHeader('X-Robots-Tag', 'noindex');
+  if (!session) {
+    return res.status(404).type('text/plain').send(req.t('errors.shareNotFound'));
+  }
+
+  const locale = transcriptLocale(req, session);
+  res.setHeader('Content-Language', locale);
+  res.setHeader('Cache-Control', 'no-cache');
+  // Without a base URL the page still opens but carries no og:url
+  const url = PUBLIC_BASE_URL ? shareUrl(share.token) : null;
+  res.type('html').send(toHtml(transcriptDocument(session), { locale, url }));
+});
+
+// List a device's sessions, newest first
+app.get('/api/device/sessions/:deviceId', requireDevice, (req, res) => {
+  const { deviceId } = req.params;
+  const limit = Math.max(1, Math.min(100, Number(req.query.limit) || 20));
+
+  const sessions = db.find('sessions', 'deviceId', deviceId)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+    .slice(0, limit)
+    .map(sessionSummary);
+
+  res.json({ sessions, count: sessions.length });
+});
+
+// The device's own feedback with the replies it got, newest first. Admin
+// notes stay private.
+app.get('/api/device/feedbacks', requireDevice, (req, res) => {
+  const feedbacks = db.find('feedbacks', 'deviceId', req.device.deviceId)
+    .reverse()
+    .map(({ id, message, category, status, sessionId, timestamp, updatedAt, replies = [] }) => ({
+      id,
+      message,
+      category,
+      status,
+      ...(sessionId && { sessionId }),
+      timestamp,
+      updatedAt,
+      replies,
+    }));
+
+  res.json({ feedbacks, count: feedbacks.length });
+});
+
+// Saved personas
+// A device keeps up to PERSONA_LIMITS.perDevice personas and assigns them by
+// id in /api/chat, e.g. `personas: { "GPT": "<id>" }`.
+function publicPersona(record) {
+  const { deviceId, ...persona } = record;
+  return persona;
+}
+
+// The persona named in the path when it belongs to the device, else sends
+// the error and returns null
+function ownPersona(req, res) {
+  const persona = db.get('personas', req.params.id);
+  if (!persona) {
+    res.status(404).json({ error: req.t('errors.personaNotFound') });
+    return null;
+  }
+  if (persona.deviceId !== req.device.deviceId) {
+    res.status(403).json({ error: req.t('errors.personaOtherDevice') });
+    return null;
+  }
+  return persona;
+}
+
+app.get('/api/personas', requireDevice, (req, res) => {
+  const personas = db.find('personas', 'deviceId', req.device.deviceId).map(publicPersona);
+  res.json({ personas, count: personas.length });
+});
+
+app.post('/api/personas', requireDevice, (req, res) => {
+  const { deviceId } = req.device;
+  const { persona, error, vars } = validatePersona(req.body);
+  if (error) {
+    return res.status(400).json({ error: req.t(`errors.${error}`, vars) });
+  }
+
+  if (db.find('personas', 'deviceId', deviceId).length >= PERSONA_LIMITS.perDevice) {
+    return res.status(409).json({ error: req.t('errors.personaLimit', { max: PERSONA_LIMITS.perDevice }) });
+  }
+
+  const now = new Date().toISOString();
+  const record = { id: crypto.randomUUID(), deviceId, ...persona, createdAt: now, updatedAt: now };
+  db.put('personas', record.id, record);
+  res.status(201).json({ persona: publicPersona(record) });
+});
+
+app.put('/api/personas/:id', requireDevice, (req, res) => {
+  const existing = ownPersona(req, res);
+  if (!existing) return;
+
+  const { persona, error, vars } = validatePersona(req.body);
+  if (error) {
+    return res.status(400).json({ error: req.t(`errors.${error}`, vars) });
+  }
+
+  const { id, deviceId, createdAt } = existing;
+  const record = { id, deviceId, ...persona, createdAt, updatedAt: new Date().toISOString() };
+  db.put('personas', id, record);
+  res.json({ persona: publicPersona(record) });
+});
+
+app.delete('/api/personas/:id', requireDevice, (req, res) => {
+  const persona = ownPersona(req, res);
+  if (!persona) return;
+
+  db.delete('personas', persona.id);
+  res.json({ ok: true });
 });
 
 // Global error handlers
 process.on('uncaughtException', (error) => {
-  console.error('❌ Uncaught Exception:', error);
-  console.error('Stack:', error.stack);
+  logJson('error', 'uncaught_exception', { error: errorField(error, { stack: true }) });
   // Don't exit - let Railway restart if needed
 });
 
 process.on('unhandledRejection', (reason, promise) => {
-  console.error('❌ Unhandled Rejection at:', promise);
-  console.error('Reason:', reason);
+  logJson('error', 'unhandled_rejection', { error: errorField(reason, { stack: true }) });
   // Don't exit - let Railway restart if needed
 });
 
-process.on('SIGTERM', () => {
-  console.log('⚠️  SIGTERM signal received. Shutting down gracefully...');
+process.on('SIGTERM', async () => {
+  logJson('info', 'shutdown', { signal: 'SIGTERM' });
+  await db.close();
   process.exit(0);
 });
 
-process.on('SIGINT', () => {
-  console.log('⚠️  SIGINT signal received. Shutting down gracefully...');
+process.on('SIGINT', async () => {
+  logJson('info', 'shutdown', { signal: 'SIGINT' });
+  await db.close();
   process.exit(0);
 });
 
 app.listen(PORT, () => {
-  console.log(`✅ AI Agora backend listening on :${PORT}`);
-  console.log(`📁 Data directory: ${DATA_DIR}`);
-  console.log(`💾 Devices loaded: ${Object.keys(devicesDB).length}`);
+  logJson('info', 'server_started', {
+    port: Number(PORT),
+    dataDir: DATA_DIR,
+    devices: db.count('devices'),
+    sessions: db.count('sessions'),
+  });
 });
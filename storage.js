@@ -0,0 +1,296 @@
+// Embedded storage: in-memory collections backed by an append-only log and a
+// periodic snapshot in the data directory.
+//
+// Every write (or transaction) is one JSON line in `<name>.log`, so a crash
+// mid-write at worst leaves a torn last line, which replay skips. Once the
+// log grows past `compactEvery` lines the full state is written to a temp
+// file and renamed over `<name>.snapshot.json`, then the log is truncated.
+// Log lines carry a sequence number; replay skips anything the snapshot
+// already contains, so a crash between rename and truncate is harmless.
+//
+// Reads are synchronous and served from memory. Writes update memory right
+// away and are flushed to disk in order, off the request path.
+//
+// Callers mutate records in place and then put them, so the object in memory
+// is already changed when put is called. The JSON of each record's last write
+// is kept alongside it, and a failed transaction restores records from that.
+import fs from 'fs';
+import path from 'path';
+import { errorField, logJson } from './log.js';
+
+export class Store {
+  #dir;
+  #name;
+  #collections = new Map();
+  #indexDefs = new Map();
+  #indexes = new Map();
+  #indexed = new Map();
+  #saved = new Map(); // collection -> id -> JSON of the last write
+  #seq = 0;
+  #schemaVersion = 0;
+  #fh = null;
+  #pending = [];
+  #flushing = null;
+  #logLines = 0;
+  #compactEvery;
+  #tx = null;
+
+  constructor({ dir, name = 'agora', collections = {}, compactEvery = 5000 }) {
+    this.#dir = dir;
+    this.#name = name;
+    this.#compactEvery = compactEvery;
+    for (const [collection, { indexes = [] } = {}] of Object.entries(collections)) {
+      this.#collections.set(collection, new Map());
+      this.#indexDefs.set(collection, indexes);
+      this.#indexes.set(collection, new Map(indexes.map((field) => [field, new Map()])));
+      this.#indexed.set(collection, new Map());
+      this.#saved.set(collection, new Map());
+    }
+  }
+
+  get schemaVersion() {
+    return this.#schemaVersion;
+  }
+
+  get #snapshotFile() {
+    return path.join(this.#dir, `${this.#name}.snapshot.json`);
+  }
+
+  get #logFile() {
+    return path.join(this.#dir, `${this.#name}.log`);
+  }
+
+  // Loads snapshot + log, then runs any migrations newer than the stored schema version
+  async open(migrations = []) {
+    if (fs.existsSync(this.#snapshotFile)) {
+      const snapshot = JSON.parse(fs.readFileSync(this.#snapshotFile, 'utf8'));
+      this.#seq = snapshot.seq;
+      this.#schemaVersion = snapshot.schemaVersion || 0;
+      for (const [collection, entries] of Object.entries(snapshot.collections)) {
+        for (const [id, record] of entries) this.#apply({ op: 'put', c: collection, id, v: record });
+      }
+    }
+
+    if (fs.existsSync(this.#logFile)) {
+      const lines = fs.readFileSync(this.#logFile, 'utf8').split('\n').filter(Boolean);
+      lines.forEach((line, i) => {
+        let entry;
+        try {
+          entry = JSON.parse(line);
+        } catch (e) {
+          // A torn final line is expected after a crash; anything else is worth a warning
+          if (i < lines.length - 1) logJson('warn', 'storage_log_line_corrupt', { line: i + 1 });
+          return;
+        }
+        if (entry.seq <= this.#seq) return;
+        this.#seq = entry.seq;
+        for (const op of entry.ops) this.#apply(op);
+      });
+      this.#logLines = lines.length;
+    }
+
+    this.#fh = await fs.promises.open(this.#logFile, 'a');
+
+    for (let version = this.#schemaVersion + 1; version <= migrations.length; version++) {
+      this.transaction(() => {
+        migrations[version - 1](this);
+        this.#tx.ops.push({ op: 'schema', version });
+      });
+      this.#schemaVersion = version;
+      logJson('info', 'storage_migrated', { version });
+    }
+
+    return this;
+  }
+
+  get(collection, id) {
+    return this.#records(collection).get(String(id)) || null;
+  }
+
+  all(collection) {
+    return [...this.#records(collection).values()];
+  }
+
+  // [id, record] pairs, for code that needs the ids of records without one
+  entries(collection) {
+    return [...this.#records(collection).entries()];
+  }
+
+  count(collection) {
+    return this.#records(collection).size;
+  }
+
+  // Records whose indexed `field` equals `value`, in insertion order
+  find(collection, field, value) {
+    const index = this.#indexes.get(collection)?.get(field);
+    if (!index) throw new Error(`No index on ${collection}.${field}`);
+    const records = this.#records(collection);
+    return [...(index.get(value) || [])].map((id) => records.get(id));
+  }
+
+  findOne(collection, field, value) {
+    return this.find(collection, field, value)[0] || null;
+  }
+
+  put(collection, id, record) {
+    this.#write({ op: 'put', c: collection, id: String(id), v: record });
+    return record;
+  }
+
+  delete(collection, id) {
+    this.#write({ op: 'del', c: collection, id: String(id) });
+  }
+
+  // Runs fn with all its writes landing in a single log line: either all of
+  // them survive a crash or none do. If fn throws nothing reaches the log and
+  // the records it put or deleted are restored in memory, as they were last
+  // written before the transaction (in-place changes included). Restored
+  // records are new objects; references taken inside fn are stale.
+  transaction(fn) {
+    if (this.#tx) return fn();
+
+    this.#tx = { ops: [], undo: [] };
+    try {
+      const result = fn();
+      if (this.#tx.ops.length) this.#queue(this.#tx.ops);
+      return result;
+    } catch (e) {
+      for (const { json, ...undo } of this.#tx.undo.reverse()) {
+        this.#apply(json === undefined ? undo : { ...undo, v: JSON.parse(json) }, json);
+      }
+      throw e;
+    } finally {
+      this.#tx = null;
+    }
+  }
+
+  // Waits until everything written so far is on disk
+  async flush() {
+    while (this.#flushing) await this.#flushing;
+  }
+
+  async compact() {
+    await this.flush();
+    await this.#compact();
+  }
+
+  async close() {
+    await this.flush();
+    await this.#fh?.close();
+    this.#fh = null;
+  }
+
+  #records(collection) {
+    const records = this.#collections.get(collection);
+    if (!records) throw new Error(`Unknown collection: ${collection}`);
+    return records;
+  }
+
+  #write(op) {
+    this.#records(op.c);
+    const previous = this.#saved.get(op.c).get(op.id);
+    // Serialize now so later in-place mutations cannot leak into this entry
+    const json = op.op === 'put' ? JSON.stringify(op.v) : undefined;
+    const entry = op.op === 'put' ? { ...op, v: JSON.parse(json) } : op;
+    this.#apply({ ...op }, json);
+
+    if (this.#tx) {
+      this.#tx.ops.push(entry);
+      this.#tx.undo.push(previous === undefined
+        ? { op: 'del', c: op.c, id: op.id }
+        : { op: 'put', c: op.c, id: op.id, json: previous });
+    } else {
+      this.#queue([entry]);
+    }
+  }
+
+  // `json` is op.v serialized, when the caller already has it
+  #apply(op, json) {
+    if (op.op === 'schema') {
+      this.#schemaVersion = op.version;
+      return;
+    }
+
+    // Collections dropped from the config are skipped on replay
+    const records = this.#collections.get(op.c);
+    if (!records) return;
+    const indexes = this.#indexes.get(op.c);
+    const indexed = this.#indexed.get(op.c);
+    const saved = this.#saved.get(op.c);
+
+    // Indexed values are cached per record: records are mutated in place, so
+    // by the time they are re-put the old values are gone from the object.
+    for (const [field, value] of Object.entries(indexed.get(op.id) || {})) {
+      indexes.get(field).get(value)?.delete(op.id);
+    }
+    indexed.delete(op.id);
+
+    if (op.op === 'del') {
+      records.delete(op.id);
+      saved.delete(op.id);
+      return;
+    }
+
+    records.set(op.id, op.v);
+    saved.set(op.id, json ?? JSON.stringify(op.v));
+    const values = {};
+    for (const field of this.#indexDefs.get(op.c)) {
+      const value = op.v?.[field];
+      if (value === undefined || value === null) continue;
+      if (!indexes.get(field).has(value)) indexes.get(field).set(value, new Set());
+      indexes.get(field).get(value).add(op.id);
+      values[field] = value;
+    }
+    indexed.set(op.id, values);
+  }
+
+  #queue(ops) {
+    this.#seq += 1;
+    this.#pending.push(`${JSON.stringify({ seq: this.#seq, ops })}\n`);
+    if (!this.#flushing) {
+      this.#flushing = this.#drain().finally(() => {
+        this.#flushing = null;
+      });
+    }
+  }
+
+  async #drain() {
+    while (this.#pending.length) {
+      const lines = this.#pending;
+      this.#pending = [];
+      try {
+        await this.#fh.write(lines.join(''));
+        await this.#fh.datasync();
+        this.#logLines += lines.length;
+        if (this.#logLines >= this.#compactEvery) await this.#compact();
+      } catch (e) {
+        logJson('error', 'storage_write_failed', { error: errorField(e, { stack: true }) });
+      }
+    }
+  }
+
+  async #compact() {
+    const snapshot = {
+      seq: this.#seq,
+      schemaVersion: this.#schemaVersion,
+      savedAt: new Date().toISOString(),
+      collections: Object.fromEntries(
+        [...this.#collections].map(([collection, records]) => [collection, [...records]])
+      ),
+    };
+    const tmp = `${this.#snapshotFile}.tmp`;
+    await fs.promises.writeFile(tmp, JSON.stringify(snapshot));
+    const tmpHandle = await fs.promises.open(tmp, 'r');
+    await tmpHandle.sync();
+    await tmpHandle.close();
+    await fs.promises.rename(tmp, this.#snapshotFile);
+
+    await this.#fh.close();
+    this.#fh = await fs.promises.open(this.#logFile, 'w');
+    this.#logLines = 0;
+  }
+}
+
+export async function openStore({ migrations = [], ...options }) {
+  return new Store(options).open(migrations);
+}
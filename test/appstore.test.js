@@ -0,0 +1,165 @@
+// App Store JWS verification against a throwaway test CA, and the one
+// subscription, one device rule of /api/subscription/verify.
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { after, before, describe, test } from 'node:test';
+import { AppStoreVerificationError, verifyTransaction } from '../appstore.js';
+import { createChain, signPayload, transactionInfo } from './helpers/appstore-ca.js';
+import { registerDevice, request, startServer } from './helpers/server.js';
+
+const CONFIG = {
+  bundleId: 'com.example.aiagora',
+  productIds: ['premium_monthly'],
+  environments: ['Production', 'Sandbox'],
+};
+
+const rejects = (message) => (e) => e instanceof AppStoreVerificationError && message.test(e.message);
+
+describe('verifyTransaction', () => {
+  const chain = createChain();
+  const verify = (jws, options = {}) => verifyTransaction(jws, { ...CONFIG, rootCertificates: [chain.rootCertificate], ...options });
+
+  test('accepts a transaction signed through a trusted chain', () => {
+    const info = transactionInfo();
+    const tx = verify(signPayload(chain, info));
+    assert.equal(tx.transactionId, info.transactionId);
+    assert.equal(tx.originalTransactionId, info.originalTransactionId);
+    assert.equal(tx.productId, 'premium_monthly');
+    assert.equal(tx.environment, 'Sandbox');
+    assert.equal(tx.expiresDate.getTime(), info.expiresDate);
+    assert.equal(tx.revoked, false);
+  });
+
+  test('rejects a chain that leads to another root', () => {
+    const other = createChain();
+    assert.throws(() => verify(signPayload(other, transactionInfo())), rejects(/trusted root/));
+  });
+
+  test('rejects a payload changed after signing', () => {
+    const [header, , signature] = signPayload(chain, transactionInfo()).split('.');
+    const forged = Buffer.from(JSON.stringify(transactionInfo({ productId: 'premium_yearly' }))).toString('base64url');
+    assert.throws(() => verify(`${header}.${forged}.${signature}`), rejects(/Invalid signature/));
+  });
+
+  test('rejects a signature by a key other than the leaf', () => {
+    const other = createChain();
+    const jws = signPayload({ ...chain, leafKey: other.leafKey }, transactionInfo());
+    assert.throws(() => verify(jws), rejects(/Invalid signature/));
+  });
+
+  test('rejects another app, product or environment', () => {
+    const jws = (overrides) => signPayload(chain, transactionInfo(overrides));
+    assert.throws(() => verify(jws({ bundleId: 'com.example.other' })), rejects(/Unexpected bundleId: com.example.other/));
+    assert.throws(() => verify(jws({ productId: 'lifetime' })), rejects(/Unexpected productId: lifetime/));
+    assert.throws(() => verify(jws({ environment: 'Xcode' })), rejects(/Unexpected environment: Xcode/));
+    assert.throws(
+      () => verify(jws({ environment: 'Sandbox' }), { environments: ['Production'] }),
+      rejects(/Unexpected environment: Sandbox/)
+    );
+  });
+
+  test('rejects an expired or not yet valid certificate', () => {
+    const expired = createChain({
+      leaf: { notBefore: new Date(Date.now() - 60 * 86400000), notAfter: new Date(Date.now() - 86400000) },
+    });
+    assert.throws(
+      () => verify(signPayload(expired, transactionInfo()), { rootCertificates: [expired.rootCertificate] }),
+      rejects(/expired or not yet valid/)
+    );
+
+    const jws = signPayload(chain, transactionInfo());
+    assert.throws(() => verify(jws, { now: new Date(Date.now() + 2 * 365 * 86400000) }), rejects(/expired or not yet valid/));
+    assert.throws(() => verify(jws, { now: new Date(Date.now() - 2 * 86400000) }), rejects(/expired or not yet valid/));
+  });
+
+  test('rejects certificates without Apple\'s marker extensions', () => {
+    for (const missing of [{ leaf: { markers: [] } }, { intermediate: { markers: [] } }]) {
+      const unmarked = createChain(missing);
+      assert.throws(
+        () => verify(signPayload(unmarked, transactionInfo()), { rootCertificates: [unmarked.rootCertificate] }),
+        rejects(/not an App Store signing certificate/)
+      );
+    }
+  });
+
+  test('rejects malformed payloads and missing roots', () => {
+    assert.throws(() => verify('not-a-jws'), rejects(/Malformed/));
+    assert.throws(() => verify(signPayload({ ...chain, x5c: chain.x5c.slice(0, 1) }, transactionInfo())), rejects(/Unsupported signature header/));
+    assert.throws(
+      () => verify(signPayload(chain, transactionInfo()), { rootCertificates: [] }),
+      (e) => e instanceof AppStoreVerificationError && e.code === 'not_configured'
+    );
+  });
+});
+
+describe('POST /api/subscription/verify', () => {
+  const chain = createChain();
+  let dir;
+  let server;
+
+  // `registered` is the /api/device/register response
+  const verify = ({ device, deviceToken }, signedTransaction) => request(`${server.url}/api/subscription/verify`, {
+    method: 'POST',
+    body: { deviceId: device.deviceId, signedTransaction },
+    token: deviceToken,
+  });
+
+  before(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'agora-ca-'));
+    const rootPath = path.join(dir, 'root.cer');
+    fs.writeFileSync(rootPath, chain.rootDer);
+    server = await startServer({
+      env: {
+        APPLE_ROOT_CERT_PATHS: rootPath,
+        APPLE_BUNDLE_ID: CONFIG.bundleId,
+        APPLE_PRODUCT_IDS: CONFIG.productIds.join(','),
+        APPLE_ENVIRONMENTS: CONFIG.environments.join(','),
+      },
+    });
+  });
+
+  after(async () => {
+    await server?.stop();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('grants premium for a valid transaction', async () => {
+    const registered = await registerDevice(server.url, 'premium-device');
+    const { status, body } = await verify(registered, signPayload(chain, transactionInfo({ originalTransactionId: '3000' })));
+    assert.equal(status, 200);
+    assert.equal(body.isPremium, true);
+    assert.equal(body.environment, 'Sandbox');
+  });
+
+  test('refuses a transaction already bound to another device', async () => {
+    const jws = signPayload(chain, transactionInfo({ transactionId: '4001', originalTransactionId: '4000' }));
+    const first = await registerDevice(server.url, 'bound-device');
+    assert.equal((await verify(first, jws)).status, 200);
+
+    // A renewal shares the original transaction id
+    const renewal = signPayload(chain, transactionInfo({ transactionId: '4002', originalTransactionId: '4000' }));
+    const second = await registerDevice(server.url, 'other-device');
+    const { status, body } = await verify(second, renewal);
+    assert.equal(status, 409);
+    assert.ok(body.error);
+
+    // The owner can still verify it again
+    assert.equal((await verify(first, renewal)).status, 200);
+  });
+
+  test('refuses untrusted and expired transactions', async () => {
+    const registered = await registerDevice(server.url, 'untrusted-device');
+    const untrusted = await verify(registered, signPayload(createChain(), transactionInfo({ originalTransactionId: '5000' })));
+    assert.equal(untrusted.status, 400);
+    assert.match(untrusted.body.error, /trusted root/);
+
+    const lapsed = await verify(registered, signPayload(chain, transactionInfo({ originalTransactionId: '5001', expiresDate: Date.now() - 1000 })));
+    assert.equal(lapsed.status, 400);
+    assert.ok(lapsed.body.expiresDate);
+
+    const { body } = await request(`${server.url}/api/device/status/untrusted-device`, { token: registered.deviceToken });
+    assert.equal(body.isPremium, false);
+  });
+});
@@ -0,0 +1,221 @@
+// The SSE debate flow end to end against scripted mock providers: event
+// order, context passed between rounds, injected provider errors and the
+// moderator fallback.
+import assert from 'node:assert/strict';
+import { after, before, describe, test } from 'node:test';
+import { postSse, registerDevice, request, startServer } from './helpers/server.js';
+
+const SCRIPT = {
+  MockA: { 2: { echo: true } },
+  MockB: { 1: ['MockB says ', 'hello.'] },
+};
+
+describe('SSE debate flow', () => {
+  let server;
+  let token;
+  let questions = 0;
+
+  // Each debate gets its own question so the response cache never answers it
+  const debate = (body = {}) => postSse(`${server.url}/api/chat`, {
+    prompt: `Question ${++questions}?`,
+    providers: ['MockA', 'MockB'],
+    rounds: 2,
+    ...body,
+  }, token);
+
+  before(async () => {
+    server = await startServer({ script: SCRIPT });
+    ({ deviceToken: token } = await registerDevice(server.url, 'debate-device'));
+  });
+
+  after(() => server?.stop());
+
+  test('streams meta, rounds, chunks, messages, the moderator and done in order', async () => {
+    const { status, events } = await debate();
+    assert.equal(status, 200);
+
+    const names = events.map((e) => e.event);
+    assert.equal(names[0], 'meta');
+    assert.equal(names.at(-1), 'done');
+    assert.deepEqual(events.filter((e) => e.event === 'round').map((e) => e.data.round), [1, 2]);
+
+    const meta = events[0].data;
+    assert.equal(meta.rounds, 2);
+    assert.ok(meta.sessionId);
+    assert.equal(meta.quota.roundsCharged, 2);
+
+    // Every chunk and message sits inside its round, and a model's message
+    // follows all of its chunks
+    const secondRound = names.indexOf('round', names.indexOf('round') + 1);
+    const moderatorStart = names.indexOf('moderator_chunk');
+    assert.ok(secondRound > 0 && moderatorStart > secondRound);
+    events.forEach((e, i) => {
+      if (e.event !== 'chunk' && e.event !== 'message') return;
+      assert.equal(e.data.round, i < secondRound ? 1 : 2, `${e.event} #${i} is in the wrong round`);
+      assert.ok(i < moderatorStart, 'round events after the moderator started');
+    });
+    for (const round of [1, 2]) {
+      for (const model of ['MockA', 'MockB']) {
+        const own = events.map((e, i) => ({ ...e, i })).filter((e) => e.data.model === model && e.data.round === round);
+        const message = own.find((e) => e.event === 'message');
+        assert.ok(message, `no message from ${model} in round ${round}`);
+        assert.ok(own.filter((e) => e.event === 'chunk').every((e) => e.i < message.i));
+      }
+    }
+
+    const text = (model, round) => events
+      .filter((e) => e.event === 'chunk' && e.data.model === model && e.data.round === round)
+      .map((e) => e.data.text).join('');
+    assert.equal(text('MockA', 1), 'MockA round 1 answer.');
+    assert.equal(text('MockB', 1), 'MockB says hello.');
+
+    const moderator = names.slice(moderatorStart);
+    assert.deepEqual([...new Set(moderator)], ['moderator_chunk', 'moderator_message', 'done']);
+    assert.ok(!names.includes('provider_error'));
+  });
+
+  test('passes the other models\' previous answers into the next round', async () => {
+    const { events } = await debate();
+    const echoed = events
+      .filter((e) => e.event === 'chunk' && e.data.model === 'MockA' && e.data.round === 2)
+      .map((e) => e.data.text).join('');
+
+    // MockA sees its own round 1 answer as its turn and MockB's as a quote
+    assert.match(echoed, /\[assistant\] MockA round 1 answer\./);
+    assert.match(echoed, /\[MockB\] MockB says hello\./);
+    assert.doesNotMatch(echoed, /\[MockA\]/);
+  });
+
+  test('stores the debate as a session', async () => {
+    const { events } = await debate();
+    const { sessionId } = events[0].data;
+
+    const { status, body } = await request(`${server.url}/api/sessions/${sessionId}`, { token });
+    assert.equal(status, 200);
+    const [turn] = body.session.turns;
+    assert.equal(turn.status, 'completed');
+    assert.deepEqual(turn.responses.map((r) => [r.model, r.round]).sort(), [['MockA', 1], ['MockA', 2], ['MockB', 1], ['MockB', 2]]);
+    assert.equal(turn.moderator.text, 'MockA moderator summary.');
+  });
+});
+
+describe('provider errors', () => {
+  let server;
+  let token;
+
+  before(async () => {
+    server = await startServer({
+      script: {
+        MockB: { 1: { chunks: ['partial'], error: 'boom' } },
+        MockA: { moderator: { error: 'moderator down' } },
+      },
+      env: { PROVIDER_MAX_RETRIES: '0' },
+    });
+    ({ deviceToken: token } = await registerDevice(server.url, 'error-device'));
+  });
+
+  after(() => server?.stop());
+
+  test('reports an injected provider error and carries on with the others', async () => {
+    const { events } = await postSse(`${server.url}/api/chat`, {
+      prompt: 'Will it fail?',
+      providers: ['MockA', 'MockB'],
+      rounds: 2,
+      moderatorEngine: 'MockB',
+    }, token);
+    const names = events.map((e) => e.event);
+
+    const errors = events.filter((e) => e.event === 'provider_error');
+    assert.deepEqual(errors.map((e) => e.data), [{ model: 'MockB', round: 1, message: 'boom' }]);
+
+    // The partial answer streamed before the error is still delivered
+    const round1 = events.filter((e) => e.event === 'message' && e.data.round === 1).map((e) => e.data.model).sort();
+    assert.deepEqual(round1, ['MockA', 'MockB']);
+    assert.ok(names.indexOf('provider_error') < names.indexOf('round', names.indexOf('round') + 1));
+    assert.ok(names.includes('moderator_message'));
+    assert.equal(names.at(-1), 'done');
+  });
+
+  test('moderator errors are reported without a moderator_message', async () => {
+    const { events } = await postSse(`${server.url}/api/chat`, {
+      prompt: 'Who moderates?',
+      providers: ['MockA'],
+      rounds: 1,
+      moderatorEngine: 'MockA',
+    }, token);
+    const names = events.map((e) => e.event);
+
+    const error = events.find((e) => e.event === 'provider_error');
+    assert.deepEqual(error.data, { model: 'MockA', moderator: true, message: 'moderator down' });
+    assert.ok(!names.includes('moderator_message'));
+    assert.equal(names.at(-1), 'done');
+  });
+
+  test('an unavailable moderator engine falls back to the first available provider', async () => {
+    const { events } = await postSse(`${server.url}/api/chat`, {
+      prompt: 'Who moderates now?',
+      providers: ['MockB'],
+      rounds: 1,
+      moderatorEngine: 'GPT',
+    }, token);
+
+    // GPT has no API key here; MockA is the first available provider and its
+    // scripted moderator fails, which shows it was the one asked
+    const error = events.find((e) => e.event === 'provider_error' && e.data.moderator);
+    assert.equal(error.data.model, 'MockA');
+
+    const { body } = await request(`${server.url}/api/sessions/${events[0].data.sessionId}`, { token });
+    assert.equal(body.session.turns[0].moderator.engine, 'MockA');
+  });
+
+  test('refunds a round no provider answered', async () => {
+    const failing = await startServer({
+      script: { '*': { 1: { error: 'down' } } },
+      env: { PROVIDER_MAX_RETRIES: '0' },
+    });
+    try {
+      const { deviceToken } = await registerDevice(failing.url, 'refund-device');
+      const result = await postSse(`${failing.url}/api/chat`, { prompt: 'Anyone?', providers: ['MockA', 'MockB'], rounds: 1 }, deviceToken);
+      const quota = result.events.find((e) => e.event === 'quota');
+      assert.equal(quota.data.roundsRefunded, 1);
+      assert.equal(quota.data.freeRoundsRemaining, 30);
+      assert.equal(result.events.filter((e) => e.event === 'provider_error').length, 2);
+    } finally {
+      await failing.stop();
+    }
+  });
+});
+
+describe('follow-ups', () => {
+  let server;
+  let token;
+
+  before(async () => {
+    // A slow LLM safety classifier holds each follow-up between its checks
+    // and the start of its stream
+    server = await startServer({
+      script: { MockC: { 1: { chunks: ['{"categories": []}'], delayMs: 300 } } },
+      env: { MOCK_PROVIDERS: 'MockA,MockB,MockC', SAFETY_CLASSIFIER: 'llm', SAFETY_CLASSIFIER_PROVIDER: 'MockC' },
+    });
+    ({ deviceToken: token } = await registerDevice(server.url, 'follow-up-device'));
+  });
+
+  after(() => server?.stop());
+
+  test('only one of two concurrent follow-ups runs', async () => {
+    const first = await postSse(`${server.url}/api/chat`, { prompt: 'Tea or coffee?', providers: ['MockA', 'MockB'], rounds: 1 }, token);
+    const { sessionId } = first.events[0].data;
+
+    const followUp = (prompt) => postSse(`${server.url}/api/sessions/${sessionId}/follow-up`, { prompt, rounds: 1 }, token);
+    const results = await Promise.all([followUp('What about green tea?'), followUp('And matcha?')]);
+    assert.deepEqual(results.map((r) => r.status).sort(), [200, 409]);
+
+    const { body } = await request(`${server.url}/api/sessions/${sessionId}`, { token });
+    assert.equal(body.session.turns.length, 2);
+    assert.equal(body.session.status, 'completed');
+
+    // The refused follow-up was not charged: two one-round turns
+    const { body: status } = await request(`${server.url}/api/device/status/follow-up-device`, { token });
+    assert.equal(status.freeRoundsRemaining, 28);
+  });
+});
@@ -0,0 +1,210 @@
+// Device registration and the round quota endpoints the app calls around a
+// debate.
+import assert from 'node:assert/strict';
+import { after, before, describe, test } from 'node:test';
+import { postSse, registerDevice, request, startServer } from './helpers/server.js';
+
+describe('device endpoints', () => {
+  let server;
+
+  const consume = (deviceId, token, roundsCount) => request(`${server.url}/api/device/consume-rounds`, {
+    method: 'POST',
+    body: { deviceId, roundsCount },
+    token,
+  });
+  const status = (deviceId, token) => request(`${server.url}/api/device/status/${deviceId}`, { token });
+
+  before(async () => {
+    server = await startServer({ env: { RATE_LIMITS: JSON.stringify({ register: 'off', new_devices: 'off' }) } });
+  });
+
+  after(() => server?.stop());
+
+  test('register issues credentials once and hides the secret hash', async () => {
+    const body = await registerDevice(server.url, 'device-register');
+    assert.equal(body.ok, true);
+    assert.ok(body.deviceToken);
+    assert.ok(body.deviceSecret);
+    assert.equal(body.device.deviceId, 'device-register');
+    assert.equal(body.device.freeRoundsRemaining, 30);
+    assert.equal(body.device.secretHash, undefined);
+
+    // Registering a claimed device again needs its token and returns no new credentials
+    const anonymous = await request(`${server.url}/api/device/register`, { method: 'POST', body: { deviceId: 'device-register' } });
+    assert.equal(anonymous.status, 401);
+    const again = await request(`${server.url}/api/device/register`, {
+      method: 'POST',
+      body: { deviceId: 'device-register' },
+      token: body.deviceToken,
+    });
+    assert.equal(again.status, 200);
+    assert.equal(again.body.deviceSecret, undefined);
+  });
+
+  test('register requires a deviceId', async () => {
+    const { status: code, body } = await request(`${server.url}/api/device/register`, { method: 'POST', body: {} });
+    assert.equal(code, 400);
+    assert.ok(body.error);
+  });
+
+  test('status reports unknown devices without a token and registered ones with it', async () => {
+    const unknown = await status('device-unknown');
+    assert.deepEqual(unknown.body, { exists: false, freeRoundsRemaining: 30, isPremium: false });
+
+    const { deviceToken } = await registerDevice(server.url, 'device-status');
+    const known = await status('device-status', deviceToken);
+    assert.equal(known.status, 200);
+    assert.equal(known.body.exists, true);
+    assert.equal(known.body.freeRoundsRemaining, 30);
+    assert.equal(known.body.totalRoundsUsed, 0);
+
+    const other = await status('device-unknown', deviceToken);
+    assert.equal(other.status, 403);
+  });
+
+  test('consume-rounds validates roundsCount', async () => {
+    const { deviceToken } = await registerDevice(server.url, 'device-invalid');
+    for (const roundsCount of [0, 4, '2', undefined]) {
+      const { status: code } = await consume('device-invalid', deviceToken, roundsCount);
+      assert.equal(code, 400, `roundsCount ${roundsCount}`);
+    }
+    assert.equal((await consume('device-invalid')).status, 401);
+  });
+
+  test('consume-rounds spends free rounds until a subscription is needed', async () => {
+    const { deviceToken } = await registerDevice(server.url, 'device-spend');
+
+    const first = await consume('device-spend', deviceToken, 3);
+    assert.equal(first.status, 200);
+    assert.equal(first.body.allowed, true);
+    assert.equal(first.body.freeRoundsRemaining, 27);
+    assert.equal(first.body.totalRoundsUsed, 3);
+
+    for (let i = 0; i < 9; i++) await consume('device-spend', deviceToken, 3);
+    const refused = await consume('device-spend', deviceToken, 1);
+    assert.equal(refused.status, 200);
+    assert.equal(refused.body.allowed, false);
+    assert.equal(refused.body.needsSubscription, true);
+    assert.equal(refused.body.freeRoundsRemaining, 0);
+
+    const { body } = await status('device-spend', deviceToken);
+    assert.equal(body.freeRoundsRemaining, 0);
+    assert.equal(body.totalRoundsUsed, 30);
+
+    // The next debate claims the last reservation; with that gone, the one
+    // after is refused before streaming
+    const chat = (prompt, rounds) => postSse(`${server.url}/api/chat`, { prompt, providers: ['MockA', 'MockB'], rounds }, deviceToken);
+    assert.equal((await chat('Last one?', 3)).status, 200);
+    const denied = await chat('One more?', 1);
+    assert.equal(denied.status, 402);
+    assert.equal(denied.body.needsSubscription, true);
+  });
+
+  test('a debate right after consume-rounds claims that reservation', async () => {
+    const { deviceToken } = await registerDevice(server.url, 'device-claim');
+    await consume('device-claim', deviceToken, 2);
+
+    const { status: code, events } = await postSse(`${server.url}/api/chat`, {
+      prompt: 'Charged once?',
+      providers: ['MockA', 'MockB'],
+      rounds: 2,
+    }, deviceToken);
+    assert.equal(code, 200);
+    assert.equal(events.at(-1).event, 'done');
+
+    const { body } = await status('device-claim', deviceToken);
+    assert.equal(body.freeRoundsRemaining, 28);
+    assert.equal(body.totalRoundsUsed, 2);
+  });
+
+  test('a debate gives back the unused part of a larger reservation', async () => {
+    const { deviceToken } = await registerDevice(server.url, 'device-larger');
+    await consume('device-larger', deviceToken, 3);
+
+    const { status: code } = await postSse(`${server.url}/api/chat`, { prompt: 'Just one?', providers: ['MockA', 'MockB'], rounds: 1 }, deviceToken);
+    assert.equal(code, 200);
+
+    const { body } = await status('device-larger', deviceToken);
+    assert.equal(body.freeRoundsRemaining, 29);
+    assert.equal(body.totalRoundsUsed, 1);
+  });
+
+  test('a debate longer than the reservation refunds it and is charged once in full', async () => {
+    const { deviceToken } = await registerDevice(server.url, 'device-smaller');
+    await consume('device-smaller', deviceToken, 1);
+
+    const { status: code, events } = await postSse(`${server.url}/api/chat`, {
+      prompt: 'Three rounds?',
+      providers: ['MockA', 'MockB'],
+      rounds: 3,
+    }, deviceToken);
+    assert.equal(code, 200);
+    assert.equal(events[0].data.quota.freeRoundsRemaining, 27);
+
+    const { body } = await status('device-smaller', deviceToken);
+    assert.equal(body.freeRoundsRemaining, 27);
+    assert.equal(body.totalRoundsUsed, 3);
+  });
+});
+
+describe('device credentials', () => {
+  let server;
+
+  const admin = { Authorization: 'Bearer admin-token' };
+
+  before(async () => {
+    server = await startServer({
+      env: { DEVICE_AUTH_MODE: 'legacy', ADMIN_TOKEN: 'admin-token' },
+      files: {
+        'devices.json': {
+          'legacy-device': {
+            deviceId: 'legacy-device',
+            registeredAt: '2024-01-01T00:00:00.000Z',
+            freeRoundsRemaining: 20,
+            totalRoundsUsed: 10,
+            isPremium: false,
+          },
+        },
+      },
+    });
+  });
+
+  after(() => server?.stop());
+
+  test('a device from before tokens cannot be claimed with its bare id', async () => {
+    const register = await request(`${server.url}/api/device/register`, { method: 'POST', body: { deviceId: 'legacy-device' } });
+    assert.equal(register.status, 401);
+    assert.equal(register.body.needsToken, true);
+    assert.equal(register.body.deviceSecret, undefined);
+
+    const rotate = await request(`${server.url}/api/device/token/rotate`, { method: 'POST', body: { deviceId: 'legacy-device' } });
+    assert.equal(rotate.status, 401);
+    assert.equal(rotate.body.deviceToken, undefined);
+
+    // Legacy mode still serves it by id
+    const { status, body } = await request(`${server.url}/api/device/status/legacy-device`);
+    assert.equal(status, 200);
+    assert.equal(body.exists, true);
+    assert.equal(body.freeRoundsRemaining, 20);
+  });
+
+  test('revoking a device invalidates its token and its secret', async () => {
+    const { deviceToken, deviceSecret } = await registerDevice(server.url, 'revoked-device');
+
+    const revoke = await request(`${server.url}/api/admin/devices/revoked-device/revoke-token`, { method: 'POST', headers: admin });
+    assert.equal(revoke.status, 200);
+    assert.equal(revoke.body.device.secretHash, undefined);
+
+    const status = await request(`${server.url}/api/device/status/revoked-device`, { token: deviceToken });
+    assert.equal(status.status, 401);
+
+    const token = await request(`${server.url}/api/device/token`, { method: 'POST', body: { deviceId: 'revoked-device', deviceSecret } });
+    assert.equal(token.status, 401);
+
+    // Nor can it be claimed again by id, even in legacy mode
+    const register = await request(`${server.url}/api/device/register`, { method: 'POST', body: { deviceId: 'revoked-device' } });
+    assert.equal(register.status, 401);
+    const bare = await request(`${server.url}/api/device/status/revoked-device`);
+    assert.equal(bare.status, 401);
+  });
+});
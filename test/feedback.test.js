@@ -0,0 +1,32 @@
+// Feedback from the app and the admin views of it.
+import assert from 'node:assert/strict';
+import { after, before, describe, test } from 'node:test';
+import { request, startServer } from './helpers/server.js';
+
+describe('feedback', () => {
+  let server;
+
+  const admin = { Authorization: 'Bearer admin-token' };
+
+  before(async () => {
+    server = await startServer({ env: { ADMIN_TOKEN: 'admin-token' } });
+  });
+
+  after(() => server?.stop());
+
+  test('the summary lists each item with the time it was received', async () => {
+    const sent = await request(`${server.url}/api/feedback`, {
+      method: 'POST',
+      body: { message: 'The verdict was cut off', category: 'bug', userId: 'user-1' },
+    });
+    assert.equal(sent.status, 200);
+
+    const { status, body } = await request(`${server.url}/api/feedbacks/summary`, { headers: admin });
+    assert.equal(status, 200);
+    assert.equal(body.count, 1);
+    const [item] = body.feedbacks;
+    assert.equal(item.message, 'The verdict was cut off');
+    assert.equal(item.userId, 'user-1');
+    assert.ok(!Number.isNaN(Date.parse(item.timestamp)));
+  });
+});
@@ -0,0 +1,157 @@
+// A throwaway App Store signing chain: root, intermediate and leaf
+// certificates built by hand in DER (Node can read X.509 but not write it),
+// with Apple's marker extensions, and StoreKit-style JWS signed by the leaf.
+import crypto from 'crypto';
+
+const APPLE_LEAF_OID = '1.2.840.113635.100.6.11.1';
+const APPLE_INTERMEDIATE_OID = '1.2.840.113635.100.6.2.1';
+const ECDSA_WITH_SHA256 = '1.2.840.10045.4.3.2';
+const COMMON_NAME = '2.5.4.3';
+const BASIC_CONSTRAINTS = '2.5.29.19';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// DER encoding, just enough for a certificate
+function tlv(tag, ...contents) {
+  const body = Buffer.concat(contents);
+  let length;
+  if (body.length < 0x80) {
+    length = Buffer.from([body.length]);
+  } else {
+    const bytes = [];
+    for (let n = body.length; n > 0; n >>>= 8) bytes.unshift(n & 0xff);
+    length = Buffer.from([0x80 | bytes.length, ...bytes]);
+  }
+  return Buffer.concat([Buffer.from([tag]), length, body]);
+}
+
+const sequence = (...items) => tlv(0x30, ...items);
+const set = (...items) => tlv(0x31, ...items);
+const explicit = (n, ...items) => tlv(0xa0 + n, ...items);
+const integer = (bytes) => tlv(0x02, bytes[0] & 0x80 ? Buffer.concat([Buffer.from([0]), bytes]) : bytes);
+const bitString = (bytes) => tlv(0x03, Buffer.from([0]), bytes);
+const octetString = (bytes) => tlv(0x04, bytes);
+const utf8 = (text) => tlv(0x0c, Buffer.from(text, 'utf8'));
+const TRUE = Buffer.from([0x01, 0x01, 0xff]);
+const NULL = Buffer.from([0x05, 0x00]);
+
+function oid(dotted) {
+  const parts = dotted.split('.').map(Number);
+  const body = [parts[0] * 40 + parts[1]];
+  for (const part of parts.slice(2)) {
+    const bytes = [part & 0x7f];
+    for (let rest = part >>> 7; rest; rest >>>= 7) bytes.unshift((rest & 0x7f) | 0x80);
+    body.push(...bytes);
+  }
+  return tlv(0x06, Buffer.from(body));
+}
+
+// YYMMDDHHMMSSZ, valid for 1950-2049
+function utcTime(date) {
+  return tlv(0x17, Buffer.from(date.toISOString().replace(/[-:T]/g, '').slice(2, 14) + 'Z'));
+}
+
+const name = (cn) => sequence(set(sequence(oid(COMMON_NAME), utf8(cn))));
+const extension = (id, value, critical = false) => sequence(oid(id), ...(critical ? [TRUE] : []), octetString(value));
+
+// Positive, 8 bytes and no leading zero byte, as DER requires
+function serialNumber() {
+  const bytes = crypto.randomBytes(8);
+  bytes[0] = (bytes[0] & 0x7f) | 0x40;
+  return bytes;
+}
+
+// DER certificate for `publicKey`, signed by `issuerKey`
+function certificate({ subject, issuer, publicKey, issuerKey, ca = false, markers = [], notBefore, notAfter }) {
+  const algorithm = sequence(oid(ECDSA_WITH_SHA256));
+  const extensions = [
+    ...(ca ? [extension(BASIC_CONSTRAINTS, sequence(TRUE), true)] : []),
+    ...markers.map((marker) => extension(marker, NULL)),
+  ];
+  const tbs = sequence(
+    explicit(0, integer(Buffer.from([2]))),
+    integer(serialNumber()),
+    algorithm,
+    name(issuer),
+    sequence(utcTime(notBefore), utcTime(notAfter)),
+    name(subject),
+    publicKey.export({ type: 'spki', format: 'der' }),
+    ...(extensions.length ? [explicit(3, sequence(...extensions))] : []),
+  );
+  return sequence(tbs, algorithm, bitString(crypto.sign('sha256', tbs, issuerKey)));
+}
+
+const keyPair = () => crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+
+// Root -> intermediate -> leaf. Each of `root`, `intermediate` and `leaf` may
+// override notBefore, notAfter or markers (Apple's marker OIDs by default).
+// Returns the DER of each certificate, the root as an X509Certificate and the
+// leaf's private key.
+export function createChain({ root = {}, intermediate = {}, leaf = {} } = {}) {
+  const now = Date.now();
+  const validity = { notBefore: new Date(now - DAY_MS), notAfter: new Date(now + 365 * DAY_MS) };
+  const keys = { root: keyPair(), intermediate: keyPair(), leaf: keyPair() };
+
+  const rootDer = certificate({
+    subject: 'Test Root CA',
+    issuer: 'Test Root CA',
+    publicKey: keys.root.publicKey,
+    issuerKey: keys.root.privateKey,
+    ca: true,
+    ...validity,
+    ...root,
+  });
+  const intermediateDer = certificate({
+    subject: 'Test WWDR Intermediate',
+    issuer: 'Test Root CA',
+    publicKey: keys.intermediate.publicKey,
+    issuerKey: keys.root.privateKey,
+    ca: true,
+    markers: [APPLE_INTERMEDIATE_OID],
+    ...validity,
+    ...intermediate,
+  });
+  const leafDer = certificate({
+    subject: 'Test App Store Signing',
+    issuer: 'Test WWDR Intermediate',
+    publicKey: keys.leaf.publicKey,
+    issuerKey: keys.intermediate.privateKey,
+    markers: [APPLE_LEAF_OID],
+    ...validity,
+    ...leaf,
+  });
+
+  return {
+    rootDer,
+    rootCertificate: new crypto.X509Certificate(rootDer),
+    x5c: [leafDer, intermediateDer, rootDer].map((der) => der.toString('base64')),
+    leafKey: keys.leaf.privateKey,
+  };
+}
+
+// ES256 JWS over `payload` with the chain in its x5c header
+export function signPayload(chain, payload) {
+  const header = Buffer.from(JSON.stringify({ alg: 'ES256', x5c: chain.x5c })).toString('base64url');
+  const body = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  const signature = crypto.sign('sha256', Buffer.from(`${header}.${body}`), {
+    key: chain.leafKey,
+    dsaEncoding: 'ieee-p1363',
+  });
+  return `${header}.${body}.${signature.toString('base64url')}`;
+}
+
+// A decoded signedTransactionInfo for an active monthly subscription
+export function transactionInfo(overrides = {}) {
+  const now = Date.now();
+  return {
+    transactionId: '2000000000000001',
+    originalTransactionId: '2000000000000001',
+    bundleId: 'com.example.aiagora',
+    productId: 'premium_monthly',
+    environment: 'Sandbox',
+    type: 'Auto-Renewable Subscription',
+    purchaseDate: now - DAY_MS,
+    expiresDate: now + 30 * DAY_MS,
+    ...overrides,
+  };
+}
@@ -0,0 +1,148 @@
+// Boots server.js in a child process against a throwaway data directory,
+// with mock providers (see mock.js) in place of the real ones, and talks to
+// it over HTTP the way the app does.
+import { spawn } from 'child_process';
+import fs from 'fs';
+import net from 'net';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../..');
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.unref();
+    server.on('error', reject);
+    server.listen(0, () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+// `script` becomes MOCK_SCRIPT; `env` is added to (and overrides) the
+// defaults. Real provider keys are blanked so a local .env cannot reach them.
+// `files` are JSON files put in the data directory first, e.g. a
+// devices.json for the store's one-time import.
+export async function startServer({ script, env = {}, files = {} } = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'agora-test-'));
+  const dataDir = path.join(dir, 'data');
+  fs.mkdirSync(dataDir);
+  for (const [name, content] of Object.entries(files)) {
+    fs.writeFileSync(path.join(dataDir, name), JSON.stringify(content));
+  }
+  const scriptPath = path.join(dir, 'script.json');
+  if (script) fs.writeFileSync(scriptPath, JSON.stringify(script));
+
+  const port = await freePort();
+  const child = spawn(process.execPath, ['server.js'], {
+    cwd: ROOT,
+    env: {
+      PATH: process.env.PATH,
+      NODE_ENV: 'test',
+      PORT: String(port),
+      RAILWAY_VOLUME_MOUNT_PATH: dataDir,
+      OPENAI_API_KEY: '',
+      ANTHROPIC_API_KEY: '',
+      GOOGLE_AI_API_KEY: '',
+      COMPAT_BASE_URL: '',
+      APPLE_ROOT_CERT_PATHS: path.join(dir, 'no-root.cer'),
+      MOCK_PROVIDERS: 'MockA,MockB',
+      ...(script && { MOCK_SCRIPT: scriptPath }),
+      ...env,
+    },
+    stdio: ['ignore', 'pipe', 'pipe'],
+  });
+  let output = '';
+  child.stdout.on('data', (d) => { output += d; });
+  child.stderr.on('data', (d) => { output += d; });
+  const exited = new Promise((resolve) => child.once('exit', resolve));
+
+  const url = `http://127.0.0.1:${port}`;
+  const deadline = Date.now() + 15000;
+  for (;;) {
+    if (child.exitCode !== null) throw new Error(`server exited early:\n${output}`);
+    try {
+      if ((await fetch(`${url}/health`)).ok) break;
+    } catch {
+      // not listening yet
+    }
+    if (Date.now() > deadline) {
+      child.kill('SIGKILL');
+      throw new Error(`server did not start:\n${output}`);
+    }
+    await new Promise((resolve) => setTimeout(resolve, 100));
+  }
+
+  return {
+    url,
+    dir,
+    output: () => output,
+    async stop() {
+      if (child.exitCode === null) child.kill('SIGTERM');
+      await exited;
+      fs.rmSync(dir, { recursive: true, force: true });
+    },
+  };
+}
+
+// JSON request; resolves to { status, body }
+export async function request(url, { method = 'GET', body, token, headers = {} } = {}) {
+  const response = await fetch(url, {
+    method,
+    headers: {
+      ...(body !== undefined && { 'Content-Type': 'application/json' }),
+      ...(token && { Authorization: `Bearer ${token}` }),
+      ...headers,
+    },
+    body: body === undefined ? undefined : JSON.stringify(body),
+  });
+  const text = await response.text();
+  let parsed = text;
+  try {
+    parsed = JSON.parse(text);
+  } catch {
+    // not JSON
+  }
+  return { status: response.status, headers: response.headers, body: parsed };
+}
+
+export async function registerDevice(url, deviceId) {
+  const { status, body } = await request(`${url}/api/device/register`, { method: 'POST', body: { deviceId } });
+  if (status !== 200) throw new Error(`register failed: ${status} ${JSON.stringify(body)}`);
+  return body;
+}
+
+// [{ id, event, data }] from an SSE body
+export function parseSse(text) {
+  return text.split(/\n\n+/).filter(Boolean).flatMap((block) => {
+    const event = { id: null, event: 'message', data: '' };
+    for (const line of block.split('\n')) {
+      const colon = line.indexOf(':');
+      if (colon <= 0) continue;
+      const field = line.slice(0, colon);
+      const value = line.slice(colon + 1).replace(/^ /, '');
+      if (field === 'data') event.data += value;
+      else if (field === 'event' || field === 'id') event[field] = value;
+    }
+    if (!event.data) return [];
+    return [{ ...event, data: JSON.parse(event.data) }];
+  });
+}
+
+// Streams a debate to the end; resolves to { status, events } (or the JSON
+// error body when the request is refused)
+export async function postSse(url, body, token) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+    body: JSON.stringify(body),
+  });
+  const text = await response.text();
+  if (!response.headers.get('content-type')?.startsWith('text/event-stream')) {
+    return { status: response.status, body: JSON.parse(text), events: [] };
+  }
+  return { status: response.status, events: parseSse(text) };
+}
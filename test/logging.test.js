@@ -0,0 +1,39 @@
+// Everything the server writes is a structured JSON log line.
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { postSse, registerDevice, startServer } from './helpers/server.js';
+
+test('the server logs one JSON object per line', async () => {
+  const server = await startServer({
+    script: { MockB: { 1: { error: 'boom' } } },
+    env: { PROVIDER_MAX_RETRIES: '0' },
+  });
+  let lines;
+  try {
+    const { deviceToken } = await registerDevice(server.url, 'logging-device');
+    await postSse(`${server.url}/api/chat`, { prompt: 'Logged?', providers: ['MockA', 'MockB'], rounds: 1 }, deviceToken);
+  } finally {
+    await server.stop();
+    lines = server.output().split('\n').filter(Boolean);
+  }
+
+  const entries = lines.map((line) => {
+    assert.doesNotThrow(() => JSON.parse(line), `not JSON: ${line}`);
+    return JSON.parse(line);
+  });
+  for (const entry of entries) {
+    assert.ok(!Number.isNaN(Date.parse(entry.time)));
+    assert.ok(['info', 'warn', 'error'].includes(entry.level));
+    assert.match(entry.msg, /^[a-z_]+$/);
+  }
+
+  const messages = entries.map((e) => e.msg);
+  for (const msg of ['server_started', 'device_registered', 'rounds_consumed', 'request', 'shutdown']) {
+    assert.ok(messages.includes(msg), `no ${msg} line`);
+  }
+  const failure = entries.find((e) => e.msg === 'provider_attempt_failed');
+  assert.deepEqual(
+    { provider: failure.provider, retry: failure.retry, error: failure.error },
+    { provider: 'MockB', retry: false, error: 'boom' }
+  );
+});
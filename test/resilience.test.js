@@ -0,0 +1,115 @@
+// Circuit breaker and retry timing of resilientProvider, against an adapter
+// whose calls finish when the test says so.
+import assert from 'node:assert/strict';
+import { getEventListeners } from 'node:events';
+import { describe, test } from 'node:test';
+import { CircuitOpenError, resilientProvider, sleep } from '../resilience.js';
+
+// Each stream() call waits for `release(chunks)` or `fail(error)`
+function controllableAdapter() {
+  const calls = [];
+  return {
+    calls,
+    name: 'Test',
+    model: 'test-model',
+    available: () => true,
+    async *stream() {
+      const call = {};
+      const result = new Promise((resolve, reject) => Object.assign(call, { release: resolve, fail: reject }));
+      calls.push(call);
+      yield* await result;
+    },
+  };
+}
+
+const serverError = () => Object.assign(new Error('upstream 503'), { status: 503 });
+
+async function collect(stream) {
+  let text = '';
+  for await (const chunk of stream) text += chunk;
+  return text;
+}
+
+// Opens the circuit with one failed call and waits out the cooldown
+async function halfOpen(adapter, provider) {
+  const failed = collect(provider.stream({}));
+  await new Promise(setImmediate);
+  adapter.calls.at(-1).fail(serverError());
+  await assert.rejects(failed, /upstream 503/);
+  assert.equal(provider.circuit.state, 'open');
+  assert.equal(provider.available(), false);
+  await sleep(30);
+  assert.equal(provider.available(), true);
+  assert.equal(provider.circuit.state, 'half_open');
+}
+
+describe('circuit breaker', () => {
+  const create = (adapter) => resilientProvider(adapter, { maxRetries: 0, breaker: { threshold: 1, cooldownMs: 20 } });
+
+  test('lets exactly one trial call through when half-open', async () => {
+    const adapter = controllableAdapter();
+    const provider = create(adapter);
+    await halfOpen(adapter, provider);
+
+    const trial = collect(provider.stream({}));
+    await new Promise(setImmediate);
+    assert.equal(provider.available(), false);
+
+    // A burst while the trial runs never reaches the adapter
+    const burst = await Promise.allSettled([1, 2, 3].map(() => collect(provider.stream({}))));
+    assert.ok(burst.every((r) => r.status === 'rejected' && r.reason instanceof CircuitOpenError));
+    assert.equal(adapter.calls.length, 2);
+
+    adapter.calls.at(-1).release(['back']);
+    assert.equal(await trial, 'back');
+    assert.equal(provider.circuit.state, 'closed');
+    assert.equal(provider.available(), true);
+  });
+
+  test('reopens when the trial fails', async () => {
+    const adapter = controllableAdapter();
+    const provider = create(adapter);
+    await halfOpen(adapter, provider);
+
+    const trial = collect(provider.stream({}));
+    await new Promise(setImmediate);
+    adapter.calls.at(-1).fail(serverError());
+    await assert.rejects(trial, /upstream 503/);
+    assert.equal(provider.circuit.state, 'open');
+    assert.equal(provider.available(), false);
+  });
+
+  test('frees the trial when it is cancelled', async () => {
+    const adapter = controllableAdapter();
+    const provider = create(adapter);
+    await halfOpen(adapter, provider);
+
+    const controller = new AbortController();
+    const trial = collect(provider.stream({ signal: controller.signal }));
+    await new Promise(setImmediate);
+    assert.equal(provider.available(), false);
+
+    controller.abort();
+    adapter.calls.at(-1).fail(new Error('aborted'));
+    await assert.rejects(trial);
+    assert.equal(provider.circuit.state, 'half_open');
+    assert.equal(provider.available(), true);
+  });
+});
+
+describe('sleep', () => {
+  test('removes its abort listener when the timer fires', async () => {
+    const controller = new AbortController();
+    for (let i = 0; i < 20; i++) await sleep(1, controller.signal);
+    assert.equal(getEventListeners(controller.signal, 'abort').length, 0);
+  });
+
+  test('resolves early on abort', async () => {
+    const controller = new AbortController();
+    const started = Date.now();
+    setTimeout(() => controller.abort(), 10);
+    await sleep(5000, controller.signal);
+    assert.ok(Date.now() - started < 1000);
+    assert.equal(getEventListeners(controller.signal, 'abort').length, 0);
+  });
+});
@@ -0,0 +1,66 @@
+// Public share links: they are only handed out under PUBLIC_BASE_URL, never
+// under the Host a request happens to carry.
+import assert from 'node:assert/strict';
+import { after, before, describe, test } from 'node:test';
+import { postSse, registerDevice, request, startServer } from './helpers/server.js';
+
+const spoofed = { Host: 'attacker.example', 'X-Forwarded-Host': 'attacker.example' };
+
+async function startDebate(server, deviceId) {
+  const { deviceToken: token } = await registerDevice(server.url, deviceId);
+  const { events } = await postSse(`${server.url}/api/chat`, {
+    prompt: `Share me (${deviceId})?`,
+    providers: ['MockA', 'MockB'],
+    rounds: 1,
+  }, token);
+  return { token, sessionId: events[0].data.sessionId };
+}
+
+describe('share links with PUBLIC_BASE_URL', () => {
+  let server;
+
+  before(async () => {
+    server = await startServer({ env: { PUBLIC_BASE_URL: 'https://agora.example/' } });
+  });
+
+  after(() => server?.stop());
+
+  test('links and og:url use the base URL whatever Host the request sends', async () => {
+    const { token, sessionId } = await startDebate(server, 'share-device');
+
+    const created = await request(`${server.url}/api/sessions/${sessionId}/share`, { method: 'POST', token, headers: spoofed });
+    assert.equal(created.status, 201);
+    const { url } = created.body.share;
+    assert.match(url, /^https:\/\/agora\.example\/share\/[\w-]{32}$/);
+
+    const current = await request(`${server.url}/api/sessions/${sessionId}/share`, { token, headers: spoofed });
+    assert.equal(current.status, 200);
+    assert.equal(current.body.share.url, url);
+
+    const page = await request(`${server.url}${new URL(url).pathname}`, { headers: spoofed });
+    assert.equal(page.status, 200);
+    assert.ok(page.body.includes(`<meta property="og:url" content="${url}">`));
+    assert.ok(!page.body.includes('attacker.example'));
+  });
+});
+
+describe('share links without PUBLIC_BASE_URL', () => {
+  let server;
+
+  before(async () => {
+    server = await startServer({ env: { PUBLIC_BASE_URL: '' } });
+  });
+
+  after(() => server?.stop());
+
+  test('creating or reading a link is refused', async () => {
+    const { token, sessionId } = await startDebate(server, 'no-share-device');
+
+    const created = await request(`${server.url}/api/sessions/${sessionId}/share`, { method: 'POST', token, headers: spoofed });
+    assert.equal(created.status, 503);
+    assert.equal(created.body.share, undefined);
+
+    const current = await request(`${server.url}/api/sessions/${sessionId}/share`, { token });
+    assert.equal(current.status, 503);
+  });
+});
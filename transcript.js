@@ -0,0 +1,131 @@
+// Debate transcripts for export and share links: a session as a plain
+// document (question, each model's text per round, moderator synthesis per
+// turn), rendered as JSON, Markdown or a standalone HTML page.
+import { findFormat } from './formats.js';
+import { t } from './i18n.js';
+
+export const EXPORT_FORMATS = {
+  json: { type: 'application/json; charset=utf-8', extension: 'json' },
+  md: { type: 'text/markdown; charset=utf-8', extension: 'md' },
+  html: { type: 'text/html; charset=utf-8', extension: 'html' },
+};
+
+// The public parts of a session: no device, usage or request ids
+export function transcriptDocument(session) {
+  return {
+    id: session.id,
+    createdAt: session.createdAt,
+    updatedAt: session.updatedAt,
+    turns: session.turns.map((turn) => {
+      const rounds = [...new Set(turn.responses.map((r) => r.round))].sort((a, b) => a - b);
+      return {
+        question: turn.prompt,
+        format: turn.format,
+        language: turn.language,
+        status: turn.status,
+        startedAt: turn.startedAt,
+        completedAt: turn.completedAt,
+        ...(turn.attachments?.length && { attachments: turn.attachments.map(({ name, type, size }) => ({ name, type, size })) }),
+        rounds: rounds.map((round) => ({
+          round,
+          responses: turn.responses
+            .filter((r) => r.round === round)
+            .map(({ model, role, persona, text }) => ({ model, ...(role && { role }), ...(persona && { persona }), text })),
+        })),
+        moderator: turn.moderator?.text ? { engine: turn.moderator.engine, text: turn.moderator.text } : null,
+        ...(turn.verdict && { verdict: turn.verdict }),
+      };
+    }),
+  };
+}
+
+function speaker(response) {
+  const traits = [response.persona, response.role].filter(Boolean);
+  return traits.length ? `${response.model} (${traits.join(', ')})` : response.model;
+}
+
+function formatName(id, locale) {
+  return findFormat(id, locale)?.name || id;
+}
+
+// Only names: the files themselves stay with the session's owner
+function attachmentsLine(turn, locale) {
+  return turn.attachments ? t(locale, 'transcript.attachments', { names: turn.attachments.map((a) => a.name).join(', ') }) : '';
+}
+
+function formatDate(iso, locale) {
+  return iso ? new Date(iso).toLocaleString(locale, { dateStyle: 'medium', timeStyle: 'short' }) : '';
+}
+
+export function toMarkdown(doc, locale) {
+  const lines = [];
+  doc.turns.forEach((turn, i) => {
+    if (i > 0) lines.push('---', '', `## ${t(locale, 'transcript.followUp')}: ${turn.question}`, '');
+    else lines.push(`# ${turn.question}`, '');
+    lines.push(`_${formatName(turn.format, locale)} · ${formatDate(turn.startedAt, locale)}_`, '');
+    if (turn.attachments) lines.push(`_${attachmentsLine(turn, locale)}_`, '');
+
+    for (const { round, responses } of turn.rounds) {
+      lines.push(`${i > 0 ? '###' : '##'} ${t(locale, 'transcript.round', { round })}`, '');
+      for (const response of responses) lines.push(`**${speaker(response)}**`, '', response.text.trim(), '');
+    }
+    if (turn.moderator) {
+      lines.push(`${i > 0 ? '###' : '##'} ${t(locale, 'transcript.moderator')}`, '', turn.moderator.text.trim(), '');
+    }
+  });
+  return lines.join('\n');
+}
+
+export function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function excerpt(text, max) {
+  const flat = String(text || '').replace(/\s+/g, ' ').trim();
+  return flat.length > max ? `${flat.slice(0, max - 1)}…` : flat;
+}
+
+const PAGE_STYLE = 'body{font-family:-apple-system,BlinkMacSystemFont,"Segoe UI",sans-serif;background:#f5f5f7;margin:0;padding:24px;color:#1c1c1e}main{max-width:760px;margin:0 auto}h1{font-size:28px;margin-bottom:8px}h2{font-size:20px;margin:32px 0 12px}h3{font-size:13px;text-transform:uppercase;letter-spacing:.03em;color:#636366;margin:24px 0 8px}.meta{color:#636366;margin-bottom:16px}.card{background:#fff;border-radius:16px;padding:14px 16px;margin-bottom:12px;box-shadow:0 8px 24px rgba(0,0,0,0.08)}.card .who{font-weight:600;margin-bottom:6px}.card .text{white-space:pre-wrap}.moderator{border-left:4px solid #007aff}footer{color:#8e8e93;font-size:13px;margin-top:32px;text-align:center}';
+
+// A standalone page. With `url` (share links) it also gets OpenGraph tags
+// and asks search engines not to index it.
+export function toHtml(doc, { locale, url = null } = {}) {
+  const first = doc.turns[0];
+  const title = excerpt(first?.question, 90);
+  const summary = excerpt(doc.turns[doc.turns.length - 1]?.moderator?.text || first?.rounds[0]?.responses[0]?.text, 200);
+
+  const card = (who, text, extra = '') => `<div class="card${extra}"><div class="who">${escapeHtml(who)}</div><div class="text">${escapeHtml(text.trim())}</div></div>`;
+  const turns = doc.turns.map((turn, i) => {
+    const heading = i > 0
+      ? `<h2>${escapeHtml(t(locale, 'transcript.followUp'))}: ${escapeHtml(turn.question)}</h2>`
+      : `<h1>${escapeHtml(turn.question)}</h1>`;
+    const rounds = turn.rounds.map(({ round, responses }) =>
+      `<h3>${escapeHtml(t(locale, 'transcript.round', { round }))}</h3>${responses.map((r) => card(speaker(r), r.text)).join('')}`);
+    const moderator = turn.moderator
+      ? `<h3>${escapeHtml(t(locale, 'transcript.moderator'))}</h3>${card(turn.moderator.engine || t(locale, 'transcript.moderator'), turn.moderator.text, ' moderator')}`
+      : '';
+    const attachments = turn.attachments ? `<p class="meta">${escapeHtml(attachmentsLine(turn, locale))}</p>` : '';
+    return `<section>${heading}<p class="meta">${escapeHtml(formatName(turn.format, locale))} · ${escapeHtml(formatDate(turn.startedAt, locale))}</p>${attachments}${rounds.join('')}${moderator}</section>`;
+  });
+
+  const og = url
+    ? [
+      '<meta name="robots" content="noindex">',
+      '<meta property="og:type" content="article">',
+      `<meta property="og:title" content="${escapeHtml(title)}">`,
+      `<meta property="og:description" content="${escapeHtml(summary)}">`,
+      `<meta property="og:url" content="${escapeHtml(url)}">`,
+      '<meta property="og:site_name" content="AI Agora">',
+      '<meta name="twitter:card" content="summary">',
+      `<meta name="description" content="${escapeHtml(summary)}">`,
+    ].join('')
+    : '';
+
+  return `<!DOCTYPE html>
+<html lang="${escapeHtml(locale)}"><head><meta charset="utf-8"><meta name="viewport" content="width=device-width,initial-scale=1"><title>${escapeHtml(title)}</title>${og}<style>${PAGE_STYLE}</style></head><body><main>${turns.join('')}<footer>${escapeHtml(t(locale, 'transcript.footer'))}</footer></main></body></html>`;
+}
@@ -0,0 +1,132 @@
+// Structured moderator verdict: a JSON summary of a debate next to the prose
+// synthesis, for clients that render a scoreboard.
+//
+// Providers produce it in their structured-output mode from VERDICT_SCHEMA,
+// which is written to satisfy OpenAI's strict mode (every property required,
+// no extra properties, no numeric ranges). Replies are still checked here,
+// since not every mode enforces the schema, and parseVerdict recovers the
+// common ways a model gets JSON wrong: code fences, prose around the object,
+// trailing commas, confidence given as a percentage.
+
+export const VERDICT_SCHEMA = {
+  type: 'object',
+  properties: {
+    agreements: { type: 'array', items: { type: 'string' }, description: 'Points the models agreed on' },
+    disagreements: { type: 'array', items: { type: 'string' }, description: 'Points the models disagreed on' },
+    stances: {
+      type: 'array',
+      description: "Each model's final position, one entry per model",
+      items: {
+        type: 'object',
+        properties: {
+          model: { type: 'string' },
+          stance: { type: 'string' },
+        },
+        required: ['model', 'stance'],
+        additionalProperties: false,
+      },
+    },
+    confidence: { type: 'number', description: 'How settled the question is after the debate, from 0 to 1' },
+    roundWinners: {
+      type: 'array',
+      description: 'The most convincing model of each round, or "tie"',
+      items: {
+        type: 'object',
+        properties: {
+          round: { type: 'integer' },
+          winner: { type: 'string' },
+          reason: { type: 'string' },
+        },
+        required: ['round', 'winner', 'reason'],
+        additionalProperties: false,
+      },
+    },
+    takeaways: { type: 'array', items: { type: 'string' }, description: 'Key takeaways for the reader' },
+  },
+  required: ['agreements', 'disagreements', 'stances', 'confidence', 'roundWinners', 'takeaways'],
+  additionalProperties: false,
+};
+
+export class VerdictError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'VerdictError';
+  }
+}
+
+const TYPE_CHECKS = {
+  object: (v) => v !== null && typeof v === 'object' && !Array.isArray(v),
+  array: Array.isArray,
+  string: (v) => typeof v === 'string',
+  number: (v) => typeof v === 'number' && Number.isFinite(v),
+  integer: Number.isInteger,
+  boolean: (v) => typeof v === 'boolean',
+};
+
+// Problems with `value` against the subset of JSON Schema used above, as
+// "path: message" strings; empty when valid
+export function schemaErrors(schema, value, path = '$') {
+  if (!TYPE_CHECKS[schema.type](value)) return [`${path}: expected ${schema.type}`];
+
+  const errors = [];
+  if (schema.type === 'array') {
+    value.forEach((item, i) => errors.push(...schemaErrors(schema.items, item, `${path}[${i}]`)));
+  }
+  if (schema.type === 'object') {
+    for (const key of schema.required || []) {
+      if (!(key in value)) errors.push(`${path}.${key}: missing`);
+    }
+    for (const [key, item] of Object.entries(value)) {
+      if (schema.properties[key]) errors.push(...schemaErrors(schema.properties[key], item, `${path}.${key}`));
+      else if (schema.additionalProperties === false) errors.push(`${path}.${key}: not allowed`);
+    }
+  }
+  return errors;
+}
+
+// The outermost {...} of a reply, ignoring fences and prose around it
+function extractObject(text) {
+  const start = text.indexOf('{');
+  const end = text.lastIndexOf('}');
+  if (start === -1 || end < start) throw new VerdictError('No JSON object in reply');
+  return text.slice(start, end + 1);
+}
+
+function parseLenient(text) {
+  const json = extractObject(text);
+  try {
+    return JSON.parse(json);
+  } catch {
+    // Trailing commas are the usual slip
+    try {
+      return JSON.parse(json.replace(/,\s*([}\]])/g, '$1'));
+    } catch (e) {
+      throw new VerdictError(`Malformed JSON: ${e.message}`);
+    }
+  }
+}
+
+// Fixes near misses that do not change the meaning
+function coerce(verdict, rounds) {
+  const out = { ...verdict };
+  for (const key of ['agreements', 'disagreements', 'takeaways']) {
+    if (typeof out[key] === 'string') out[key] = [out[key]];
+  }
+  if (typeof out.confidence === 'string') out.confidence = Number.parseFloat(out.confidence);
+  if (out.confidence > 1 && out.confidence <= 100) out.confidence /= 100;
+  if (Array.isArray(out.roundWinners)) {
+    out.roundWinners = out.roundWinners
+      .map((w) => (w && typeof w.round === 'string' ? { ...w, round: Number.parseInt(w.round, 10) } : w))
+      .filter((w) => !Number.isInteger(w?.round) || (w.round >= 1 && w.round <= rounds));
+  }
+  return out;
+}
+
+// Parses and validates a moderator's JSON reply; throws VerdictError
+export function parseVerdict(text, { rounds = Infinity } = {}) {
+  const verdict = coerce(parseLenient(String(text || '')), rounds);
+  const errors = schemaErrors(VERDICT_SCHEMA, verdict);
+  if (!errors.length && (verdict.confidence < 0 || verdict.confidence > 1)) errors.push('$.confidence: not between 0 and 1');
+  if (errors.length) throw new VerdictError(`Verdict does not match schema: ${errors.slice(0, 3).join('; ')}`);
+  return verdict;
+}